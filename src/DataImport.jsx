@@ -0,0 +1,55 @@
+// ═══════════════════════════════════════════════════════════════════
+// DATA IMPORT — measured t/P/V beats over the model (pvdata.js)
+//
+// The Import CSV control under the chart's view toggles, and once a file
+// is loaded its beat count and mean EDV, ESV, ESP and EF.
+// ═══════════════════════════════════════════════════════════════════
+
+import React from "react";
+import { toggle } from "./ui.jsx";
+
+// data: { name, beats } from loadPV, or null; error: why the last file
+// was refused
+export function DataImport({ data, error, onFile, onClear }) {
+  const avg = (f) =>
+    data.beats.reduce((a, b) => a + f(b), 0) / data.beats.length;
+  const edv = data && avg((b) => b.V[b.ed]),
+    esv = data && avg((b) => b.V[b.es]);
+  return (
+    <>
+      <label
+        style={{
+          ...toggle(!!data, "#D2A8FF"),
+          display: "inline-block",
+          marginTop: 2,
+        }}
+      >
+        Import CSV
+        <input
+          type="file"
+          accept=".csv,.txt,text/csv"
+          onChange={onFile}
+          style={{ display: "none" }}
+        />
+      </label>
+      {data && (
+        <>
+          {" "}
+          <button onClick={onClear} style={{ ...toggle(false), marginTop: 2 }}>
+            ✕
+          </button>
+          <div style={{ color: "#D2A8FF", marginTop: 2 }}>
+            {data.name} · {data.beats.length} beat
+            {data.beats.length > 1 ? "s" : ""} · ○ ED ● ES
+          </div>
+          <div style={{ color: "#6E7681" }}>
+            mean EDV {edv.toFixed(0)} · ESV {esv.toFixed(0)} · ESP{" "}
+            {avg((b) => b.P[b.es]).toFixed(0)} · EF{" "}
+            {((100 * (edv - esv)) / edv).toFixed(0)}%
+          </div>
+        </>
+      )}
+      {error && <div style={{ color: "#F85149", marginTop: 2 }}>{error}</div>}
+    </>
+  );
+}
@@ -0,0 +1,113 @@
+// ═══════════════════════════════════════════════════════════════════
+// DRUG PANEL — dose sliders stacked on the scenario (drugs.js)
+//
+// Each drug's note sits in its slider's tooltip and, once dosed, under
+// the sliders, with the loop before and with the drugs compared.
+// ═══════════════════════════════════════════════════════════════════
+
+import React from "react";
+import { DRUGS, isDosed, regimen } from "./drugs.js";
+import { PANEL, BUTTON, PanelLabel, BeforeAfter } from "./ui.jsx";
+
+// label: the scenario's; before: metrics of the untreated loop (null with
+// nothing dosed); vals: the treated loop's, compared for metrics
+export function DrugPanel({
+  doses,
+  onDose,
+  onClear,
+  label,
+  before,
+  vals,
+  metrics,
+  color,
+}) {
+  const dosed = isDosed(doses);
+  return (
+    <div style={PANEL}>
+      <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+        <PanelLabel>Drugs</PanelLabel>
+        <span style={{ flex: 1 }}>
+          {dosed ? regimen(doses) : `none — ${label} untreated`}
+        </span>
+        {dosed && (
+          <button onClick={onClear} style={BUTTON}>
+            Clear
+          </button>
+        )}
+      </div>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fill, minmax(240px, 1fr))",
+          gap: "2px 12px",
+          marginTop: 4,
+          paddingLeft: 66,
+        }}
+      >
+        {Object.entries(DRUGS).map(([k, d]) => {
+          const dose = doses[k] || 0;
+          return (
+            <label
+              key={k}
+              title={d.note}
+              style={{ display: "flex", alignItems: "center", gap: 6 }}
+            >
+              <span
+                style={{
+                  width: 78,
+                  color: dose ? d.color : "#8B949E",
+                  fontWeight: dose ? 600 : 400,
+                }}
+              >
+                {d.label}
+              </span>
+              <input
+                type="range"
+                min={0}
+                max={d.max}
+                step={d.step}
+                value={dose}
+                onChange={(e) => onDose(k, parseFloat(e.target.value))}
+                style={{ flex: 1, accentColor: d.color, height: 4 }}
+              />
+              <span
+                style={{
+                  width: 74,
+                  textAlign: "right",
+                  color: dose ? "#E6EDF3" : "#484F58",
+                }}
+              >
+                {dose ? dose.toFixed(d.digits ?? 1) : "—"}{" "}
+                <span style={{ color: "#484F58", fontSize: 8 }}>{d.unit}</span>
+              </span>
+            </label>
+          );
+        })}
+      </div>
+      {dosed && before && (
+        <div style={{ paddingLeft: 66, marginTop: 4 }}>
+          {Object.entries(DRUGS)
+            .filter(([k]) => doses[k] > 0)
+            .map(([k, d]) => (
+              <div key={k} style={{ lineHeight: 1.5 }}>
+                <span style={{ color: d.color }}>{d.label}</span> — {d.note}
+              </div>
+            ))}
+          <div style={{ marginTop: 4 }}>
+            <BeforeAfter
+              heads={[
+                ["Before", "#8B949E"],
+                ["With drugs", color],
+              ]}
+              rows={metrics.map((m) => ({
+                ...m,
+                before: before[m.key],
+                after: vals[m.key],
+              }))}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+// ═══════════════════════════════════════════════════════════════════
+// EXERCISE PANEL — effort on top of the scenario (stress.js)
+//
+// The intensity slider, and once exerting, rest → effort for the inputs
+// that change and the loop readouts, with what limits the output.
+// ═══════════════════════════════════════════════════════════════════
+
+import React from "react";
+import { diastoleLength } from "./stress.js";
+import { PANEL, PanelLabel } from "./ui.jsx";
+
+// What holds back filling when EDV falls at effort, by what lies upstream
+// of the LV; a ventricle that cannot relax in time otherwise
+const FILLING = {
+  mitral:
+    "The narrowed mitral valve caps filling: the shorter diastole lets less blood across it, so EDV falls while LA pressure climbs behind the valve. Output rises mostly on heart rate, and the raised LA pressure brings on breathlessness.",
+  right:
+    "The right heart caps filling: it cannot raise its output to match, so less blood reaches the LV through the lungs and EDV falls while CVP climbs. Output rises mostly on heart rate.",
+};
+
+// effort: % of peak; rest: metrics of the resting loop (null at rest);
+// params and vals: inputs and metrics of the loop at effort; inflow: what
+// the LV fills through ("mitral" when stenotic, "right" with the RV) or null
+export function ExercisePanel({
+  effort,
+  onEffort,
+  rest,
+  params,
+  vals,
+  inflow,
+  color,
+}) {
+  const cells = rest && [
+    ["HR", rest.HR, params.HR, 0, "bpm"],
+    [
+      "diastole",
+      diastoleLength(rest.HR) * 1000,
+      diastoleLength(params.HR, params.sym) * 1000,
+      0,
+      "ms",
+    ],
+    ["Ees", rest.Ees, params.Ees, 2, ""],
+    ["Ea", rest.Ea, vals.Ea, 2, ""],
+    ["EDV", rest.EDV, vals.EDV, 0, "mL"],
+    ["LVEDP", rest.LVEDP, vals.LVEDP, 1, "mmHg"],
+    ["SV", rest.SV, vals.SV, 0, "mL"],
+    ["CO", rest.CO, vals.CO, 1, "L/min"],
+  ];
+  return (
+    <div style={PANEL}>
+      <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+        <PanelLabel>Exercise</PanelLabel>
+        <input
+          type="range"
+          min={0}
+          max={100}
+          step={5}
+          value={effort}
+          onChange={(e) => onEffort(parseInt(e.target.value))}
+          style={{ flex: 1, accentColor: color, height: 4 }}
+        />
+        <span
+          style={{
+            width: 64,
+            textAlign: "right",
+            color: effort ? "#E6EDF3" : "#484F58",
+          }}
+        >
+          {effort ? `${effort}% peak` : "rest"}
+        </span>
+      </label>
+      {rest && (
+        <div style={{ paddingLeft: 66, marginTop: 4 }}>
+          <div
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              gap: "0 10px",
+              lineHeight: 1.6,
+            }}
+          >
+            {cells.map(([k, a, b, digits, unit]) => (
+              <span key={k}>
+                {k} {a.toFixed(digits)} →{" "}
+                <span style={{ color: "#E6EDF3" }}>{b.toFixed(digits)}</span>{" "}
+                <span style={{ color: "#484F58" }}>{unit}</span>
+              </span>
+            ))}
+          </div>
+          <div style={{ color: "#8B949E", lineHeight: 1.5 }}>
+            {vals.EDV < rest.EDV
+              ? FILLING[inflow] ||
+                "Diastole is now too short for this ventricle to finish relaxing: EDV falls while LVEDP climbs. Filling, not contraction, caps the output — the exercise intolerance of a stiff (HFpEF) heart."
+              : vals.SV < rest.SV
+                ? "Contraction cannot keep up with the rising afterload: SV falls and output rises on heart rate alone — little contractile reserve."
+                : "Output rises through both HR and SV: a stronger contraction empties the ventricle further, and it still relaxes in time to fill."}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
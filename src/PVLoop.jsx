@@ -1,4 +1,72 @@
-import React, { useState, useMemo, useCallback } from "react";
+import React, {
+  useState,
+  useMemo,
+  useCallback,
+  useRef,
+  useEffect,
+  useLayoutEffect,
+  useDeferredValue,
+} from "react";
+import {
+  fitBeat,
+  steadyState,
+  occlusionRun,
+  transientRun,
+  bloodVolume,
+  DT,
+  WK,
+  HR_REF,
+  RV,
+  PULM,
+} from "./model.js";
+import { energetics, peOutline, MMHG_ML_J } from "./energetics.js";
+import { occlusionFit } from "./occlusion.js";
+import { loadPV } from "./pvdata.js";
+import { estimate, TND_DEFAULT } from "./estimate.js";
+import {
+  svgDocument,
+  svgToPng,
+  loopCSV,
+  loopJSON,
+  download,
+} from "./export.js";
+import {
+  normalizeScenario,
+  scenarioKey,
+  loadCustom,
+  saveCustom,
+  exportCustom,
+  importCustom,
+} from "./scenarios.js";
+import { parsePack, loadSavedPack, savePack } from "./packs.js";
+import { CORNERS, makeQuestion, cornerMoves, gradeCorners } from "./quiz.js";
+import {
+  READOUTS,
+  DIRECTIONS,
+  MOVES,
+  makeExercise,
+  gradeExercise,
+} from "./exercise.js";
+import { DRUGS, isDosed, applyDrugs, regimen } from "./drugs.js";
+import { applyExercise, exerciseR } from "./stress.js";
+import { VALVES, valveEvents, WiggersPanel } from "./Wiggers.jsx";
+import { DEVICES, SupportPanel } from "./SupportPanel.jsx";
+import { ExercisePanel } from "./ExercisePanel.jsx";
+import { DrugPanel } from "./DrugPanel.jsx";
+import { ScenarioEditor } from "./ScenarioEditor.jsx";
+import { DataImport } from "./DataImport.jsx";
+import {
+  PANEL,
+  ROW,
+  FIELD,
+  BUTTON,
+  DASHED,
+  toggle,
+  choice,
+  action,
+  PanelLabel,
+  Delta,
+} from "./ui.jsx";
 // ═══════════════════════════════════════════════════════════════════
 // PRESSURE–VOLUME LOOP SIMULATOR v4
 // CVPhysiology cf025 (independent effects) + cf026 (interdependent)
@@ -13,11 +81,14 @@ import React, { useState, useMemo, useCallback } from "react";
 //   ↑Inotropy (Ees): ESPVR steepens, ESV↓, EDV unchanged, SV↑ (wider)
 //   ↑Afterload (Ea): ESP↑, ESV↑, EDV unchanged, SV↓ (taller/narrower)
 //   ↑Stiffness (α):  EDPVR shifts up, EDV↓ at same filling pressure (horizontal shift)
+// In interdependent mode (cf026) the sliders set venous volume and the
+// Windkessel instead, and the circulation runs forward.
 //
-// BUG FIXES in v4.1:
-//   - Slider transition snapshots scenario params (no afterload leak)
-//   - Compliance slider shifts EDV horizontally via filling-pressure equivalence
-//   - Each slider is truly independent (cf025)
+// The loop drawn is one steady-state beat of the time-varying elastance
+// model (model.js), secant-fitted (blood volume, R) to the EDV/ESV above;
+// phases a–d and the corners come from its valve events. This file holds
+// the chart and the app state; the physics, data formats and side panels
+// live in their own modules.
 // ═══════════════════════════════════════════════════════════════════
 
 const V0 = 10,
@@ -35,9 +106,9 @@ function getEffectiveEDV(sliderEDV, alpha) {
   return Math.max(50, Math.min(edv, 220));
 }
 
-function computeState(Ees, EDV, Ea, alpha) {
-  const ESV = (Ea * EDV + Ees * V0) / (Ees + Ea);
-  const ESP = Ees * (ESV - V0);
+function computeState(Ees, EDV, Ea, alpha, v0 = V0) {
+  const ESV = (Ea * EDV + Ees * v0) / (Ees + Ea);
+  const ESP = Ees * (ESV - v0);
   const SV = EDV - ESV;
   const EF = (SV / EDV) * 100;
   const LVEDP = A_ED * (Math.exp(alpha * EDV) - 1);
@@ -45,17 +116,37 @@ function computeState(Ees, EDV, Ea, alpha) {
   return { EDV, ESV, ESP, SV, EF, LVEDP, esvP0 };
 }
 
-// Manual-mode compute: ESP pinned, LVEDP pinned.
-// ESV derived from ESPVR at pinned ESP. EDV derived from EDPVR at pinned LVEDP.
-function computePinned(Ees, sliderEDV, alpha, refESP, refLVEDP) {
-  // Pin LVEDP → derive EDV from EDPVR inverse
-  const EDV = Math.max(
-    50,
-    Math.min(Math.log(refLVEDP / A_ED + 1) / alpha, sliderEDV)
-  );
-  // Pin ESP → derive ESV from ESPVR: ESP = Ees*(ESV-V0) → ESV = ESP/Ees + V0
-  const ESV = Math.min(refESP / Ees + V0, EDV - 1);
-  const ESP = refESP;
+function edpvr(V, alpha) {
+  return A_ED * (Math.exp(alpha * V) - 1);
+}
+function espvr(V, Ees, v0 = V0) {
+  return Ees * (V - v0);
+}
+
+// Keep the loop upright: the largest EDV, no more than asked for, whose
+// filling pressure stays below the end-systolic pressure of stateAt(EDV).
+// ESP falls with EDV too, so bisect between EDV and a 50 mL floor.
+function upright(stateAt, EDV) {
+  const st = stateAt(EDV);
+  if (st.LVEDP < st.ESP) return st;
+  let lo = 50,
+    hi = EDV;
+  if (!(stateAt(lo).LVEDP < stateAt(lo).ESP)) return stateAt(lo);
+  for (let k = 0; k < 20; k++) {
+    const mid = (lo + hi) / 2;
+    const m = stateAt(mid);
+    if (m.LVEDP < m.ESP) lo = mid;
+    else hi = mid;
+  }
+  return stateAt(lo);
+}
+
+// ESP pinned at the reference value where the ventricle can reach it, but
+// never so high that it ejects less than MIN_EF of EDV
+const MIN_EF = 0.2;
+function pinnedState(Ees, EDV, alpha, v0 = V0) {
+  const ESP = Math.min(normSt.ESP, Ees * (EDV * (1 - MIN_EF) - v0));
+  const ESV = Math.max(v0 + 1, ESP / Ees + v0);
   const SV = EDV - ESV;
   const EF = (SV / EDV) * 100;
   const LVEDP = A_ED * (Math.exp(alpha * EDV) - 1);
@@ -63,11 +154,73 @@ function computePinned(Ees, sliderEDV, alpha, refESP, refLVEDP) {
   return { EDV, ESV, ESP, SV, EF, LVEDP, esvP0 };
 }
 
-function edpvr(V, alpha) {
-  return A_ED * (Math.exp(alpha * V) - 1);
+// Manual mode: per-slider behavior for independent effects teaching.
+// Ea/EDV: Starling (computeState), ESP floats. Ees: ESP pinned. Alpha: ESP
+// pinned, EDV shifts. Every branch keeps LVEDP below ESP (no inverted loop).
+function computeManual(sl) {
+  // Alpha slider: stiffer wall → less filling, ESP pinned
+  if (sl._last === "alpha")
+    return upright(
+      (v) => pinnedState(sl.Ees, v, sl.alpha, sl.V0),
+      getEffectiveEDV(sl.EDV, sl.alpha)
+    );
+  // Ees slider: pin ESP at reference value
+  if (sl._last === "Ees")
+    return upright((v) => pinnedState(sl.Ees, v, sl.alpha, sl.V0), sl.EDV);
+  // Ea and EDV sliders: full computeState (Starling — rides up ESPVR). HR,
+  // the valves and the RV leave the target alone (they reshape the
+  // simulated beat instead).
+  return upright(
+    (v) => computeState(sl.Ees, v, sl.Ea, sl.alpha, sl.V0),
+    sl.EDV
+  );
+}
+
+// ─── INTERDEPENDENT MODE (cf026) ───
+// Filling is flow-limited: venous return reaches the LA through R_VR from a
+// venous pressure well above it, so each diastole adds much the same volume
+// to whatever the last systole left behind, and a change in ESV carries
+// over into the next EDV. With the RV in the loop its output limits LV
+// filling already; the pulmonary veins keep the lower resistance, as a
+// higher one would raise PA pressure.
+const R_VR = { lv: 0.2, biv: 0.04 };
+
+function beatState(beat, alpha) {
+  const { EDV, ESV, ESP, LVEDP } = beat;
+  const SV = EDV - ESV;
+  const EF = (SV / EDV) * 100;
+  return { EDV, ESV, ESP, SV, EF, LVEDP, esvP0: edpvr(ESV, alpha) };
+}
+
+// Baseline: the fitted closed-loop state (blood volume, Windkessel R) that
+// reproduces the snapshot the mode was entered from, and the venous volume
+// it takes to move its EDV by a mL (probed with a 1 mmHg venous load).
+function coupledBase(snap, biv) {
+  const st = computeState(snap.Ees, snap.EDV, snap.Ea, snap.alpha, snap.V0);
+  const p = { ...lvParams(snap, biv), Rvr: biv ? R_VR.biv : R_VR.lv };
+  const beat = fitBeat(st, p);
+  const s0 = beat.end;
+  const probe = steadyState(
+    { ...p, R: beat.load.R },
+    { ...s0, Vv: s0.Vv + WK.Cv }
+  );
+  const gain = WK.Cv / Math.max(probe.EDV - beat.EDV, 0.5);
+  return { ...snap, biv, beat, gain };
 }
-function espvr(V, Ees) {
-  return Ees * (V - V0);
+
+// Sliders perturb the load, not the state: EDV sets venous volume (what the
+// baseline ventricle needs to reach it), R/C/Zc are the Windkessel itself.
+// EDV, ESV, ESP and Ea then settle together.
+function coupledParams(base, sl) {
+  const Rvr = base.biv ? R_VR.biv : R_VR.lv;
+  return { ...lvParams(sl, base.biv), Rvr, R: sl.R, C: sl.C, Zc: sl.Zc };
+}
+function coupledBeat(base, sl) {
+  const s0 = base.beat.end;
+  return steadyState(coupledParams(base, sl), {
+    ...s0,
+    Vv: Math.max(0, s0.Vv + base.gain * (sl.EDV - base.EDV)),
+  });
 }
 
 // ─── SCENARIOS ───
@@ -78,6 +231,7 @@ const SC = {
     EDV: 120,
     Ea: 2.0,
     alpha: 0.02,
+    HR: 75,
     color: "#58A6FF",
     highlight: null,
     steps: [
@@ -105,6 +259,7 @@ const SC = {
     EDV: 180,
     Ea: 2.2,
     alpha: 0.02,
+    HR: 90,
     color: "#F85149",
     highlight: "topleft",
     steps: [
@@ -118,7 +273,7 @@ const SC = {
       },
       {
         title: "Filling pressures rise → congestion",
-        text: "More volume in the ventricle means higher diastolic pressure (LVEDP rises). This backs up into the lungs → pulmonary congestion → dyspnea. The Starling mechanism partially compensates Stroke Volume (SV), but at the cost of congestion.",
+        text: "More volume in the ventricle means higher diastolic pressure (LVEDP rises), and LA pressure (LAP) rises with it. This backs up into the lungs → pulmonary congestion → dyspnea. The Starling mechanism partially compensates Stroke Volume (SV), but at the cost of congestion.",
       },
       {
         title: "Ejection Fraction (EF) drops",
@@ -132,6 +287,7 @@ const SC = {
     EDV: 112,
     Ea: 2.0,
     alpha: 0.033,
+    HR: 80,
     color: "#F0883E",
     highlight: "bottomright",
     steps: [
@@ -145,7 +301,7 @@ const SC = {
       },
       {
         title: "Same symptoms, different mechanism",
-        text: "High LVEDP backs up into the lungs → pulmonary congestion → dyspnea. The patient looks identical to HFrEF clinically — but the cause is impaired filling, not impaired contraction.",
+        text: "High LVEDP is matched by a high LAP, which backs up into the lungs → pulmonary congestion → dyspnea. The patient looks identical to HFrEF clinically — but the cause is impaired filling, not impaired contraction.",
       },
       {
         title: "The diagnostic trap",
@@ -157,14 +313,16 @@ const SC = {
     label: "Aortic Stenosis",
     Ees: 2.5,
     EDV: 130,
-    Ea: 3.5,
+    Ea: 2.0,
     alpha: 0.02,
+    HR: 70,
+    avArea: 0.7,
     color: "#A371F7",
     highlight: "topright",
     steps: [
       {
         title: "Fixed obstruction to outflow",
-        text: "A stenotic aortic valve creates a barrier to ejection. The ventricle must generate much higher pressure (afterload/ESP) to push blood through the narrowed opening. The loop grows taller.",
+        text: "A stenotic aortic valve creates a barrier to ejection. The ventricle must generate much higher pressure (afterload/ESP) to push blood through the narrowed opening. The loop grows taller — but the dashed aortic trace does not: the difference is the transvalvular gradient (a mean above 40 mmHg is severe).",
       },
       {
         title: "Pressure overload → hypertrophy",
@@ -172,7 +330,7 @@ const SC = {
       },
       {
         title: "High energy cost",
-        text: "A tall, narrow loop means enormous myocardial oxygen demand. The thick wall also has poor subendocardial perfusion → patients develop angina even without coronary artery disease.",
+        text: "A tall, narrow loop means enormous myocardial oxygen demand. The thick wall also has poor subendocardial perfusion → patients develop angina even without coronary artery disease. Shade PVA: the pressure–volume area, and with it MVO2, grows while SV falls.",
       },
       {
         title: "Decompensation",
@@ -186,16 +344,18 @@ const SC = {
     EDV: 180,
     Ea: 1.5,
     alpha: 0.018,
+    HR: 65,
+    arEROA: 0.3,
     color: "#D2A8FF",
     highlight: "topleft",
     steps: [
       {
         title: "Backward leak during diastole",
-        text: "An incompetent aortic valve lets blood leak backward from the aorta into the ventricle during diastole. The LV fills from TWO sources — the left atrium AND the aorta — so it overfills dramatically.",
+        text: "An incompetent aortic valve lets blood leak backward from the aorta into the ventricle during diastole. The LV fills from TWO sources — the left atrium AND the aorta — so it overfills dramatically. Volume rises while pressure is still falling: there is no true isovolumic relaxation.",
       },
       {
         title: "Volume overload widens the loop",
-        text: "The ventricle dilates to accommodate the extra volume. The loop shifts right and becomes wide. Total Stroke Volume (SV) is very large, but some of it just leaks backward — forward SV to the body is reduced.",
+        text: "The ventricle dilates to accommodate the extra volume. The loop shifts right and becomes wide. Total Stroke Volume (SV) is very large, but some of it just leaks backward — forward SV to the body is reduced. The readout splits it into Fwd SV, regurgitant volume (RVol) and regurgitant fraction (RF); CO counts only the forward part.",
       },
       {
         title: "Eccentric remodeling",
@@ -213,6 +373,8 @@ const SC = {
     EDV: 90,
     Ea: 2.0,
     alpha: 0.02,
+    HR: 95,
+    mvArea: 1.0,
     color: "#79C0FF",
     highlight: "bottomright",
     steps: [
@@ -226,11 +388,11 @@ const SC = {
       },
       {
         title: "LVEDP is LOW — key point",
-        text: "Unlike most causes of pulmonary congestion, the LV filling pressure is actually low. The ventricle is starved of volume, not overloaded. This distinguishes MS from heart failure on the PV loop.",
+        text: "Unlike most causes of pulmonary congestion, the LV filling pressure is actually low. The ventricle is starved of volume, not overloaded. This distinguishes MS from heart failure on the PV loop. Compare LVEDP with LAP in the readout.",
       },
       {
         title: "LA pressure drives the congestion",
-        text: "The pathology is in the left atrium — LA pressure must be very high to force blood through the stenotic valve. LA dilates → atrial fibrillation. Pulmonary congestion comes from LA hypertension, not LV dysfunction.",
+        text: "The pathology is in the left atrium — LA pressure must be very high to force blood through the stenotic valve. LA dilates → atrial fibrillation. Pulmonary congestion comes from LA hypertension, not LV dysfunction. The gap between LAP and LVEDP is the mitral gradient (a mean above 10 mmHg is severe); the fast heart rate shortens diastole and widens it further.",
       },
     ],
   },
@@ -238,14 +400,16 @@ const SC = {
     label: "Mitral Regurg",
     Ees: 2.5,
     EDV: 160,
-    Ea: 0.8,
+    Ea: 2.0,
     alpha: 0.02,
+    HR: 85,
+    mrEROA: 0.4,
     color: "#3FB950",
     highlight: "topleft",
     steps: [
       {
         title: "Backward leak during systole",
-        text: "An incompetent mitral valve lets blood regurgitate from the ventricle back into the left atrium during contraction. This creates a low-resistance escape route — the ventricle can empty more easily.",
+        text: "An incompetent mitral valve lets blood regurgitate from the ventricle back into the left atrium during contraction. This creates a low-resistance escape route — the ventricle can empty more easily. Volume falls before the aortic valve opens: there is no true isovolumic contraction.",
       },
       {
         title: "Afterload (ESP) drops",
@@ -253,7 +417,7 @@ const SC = {
       },
       {
         title: "Volume overload from regurgitant return",
-        text: "The leaked blood returns from the LA next beat, increasing filling volume. The loop shifts right and widens. Total Stroke Volume (SV) is high, but forward SV is reduced.",
+        text: "The leaked blood returns from the LA next beat, increasing filling volume. The loop shifts right and widens. Total Stroke Volume (SV) is high, but forward SV is reduced — compare SV with Fwd SV and RF in the readout.",
       },
       {
         title: "The Ejection Fraction (EF) trap",
@@ -265,8 +429,9 @@ const SC = {
     label: "Hemorrhage",
     Ees: 2.5,
     EDV: 85,
-    Ea: 2.5,
+    Ea: 3.0,
     alpha: 0.02,
+    HR: 115,
     color: "#D29922",
     highlight: "bottomright",
     steps: [
@@ -276,7 +441,7 @@ const SC = {
       },
       {
         title: "Sympathetic compensation kicks in",
-        text: "Baroreceptors detect falling pressure → sympathetic activation → heart rate increases, contractility improves slightly, and peripheral vessels constrict to maintain blood pressure.",
+        text: "Baroreceptors detect falling pressure → sympathetic activation → heart rate increases, contractility improves slightly, and peripheral vessels constrict to maintain blood pressure. In the readout: HR 115 and SVR above normal.",
       },
       {
         title: "Smaller loop, lower Stroke Volume (SV)",
@@ -284,7 +449,7 @@ const SC = {
       },
       {
         title: "Tachycardia is the early sign",
-        text: "Cardiac output = SV × heart rate. With reduced SV, heart rate must rise to maintain output. Tachycardia appears BEFORE hypotension — by the time blood pressure drops, >30% of blood volume is lost.",
+        text: "Cardiac output = SV × heart rate. With reduced SV, heart rate must rise to maintain output. Tachycardia appears BEFORE hypotension — by the time blood pressure drops, >30% of blood volume is lost. Here SV has fallen by almost half, but HR 115 keeps CO near 4 L/min.",
       },
     ],
   },
@@ -294,6 +459,7 @@ const SC = {
     EDV: 150,
     Ea: 2.0,
     alpha: 0.02,
+    HR: 80,
     color: "#1F6FEB",
     highlight: "bottomright",
     steps: [
@@ -303,7 +469,7 @@ const SC = {
       },
       {
         title: "Starling mechanism increases SV",
-        text: "Greater filling stretch → more forceful contraction → Stroke Volume (SV) increases. The loop gets wider. The right side shifts right while the left side barely moves.",
+        text: "Greater filling stretch → more forceful contraction → Stroke Volume (SV) increases. The loop gets wider. The right side shifts right while the left side barely moves. At a near-normal HR, CO rises with SV.",
       },
       {
         title: "Preload vs. inotropy distinction",
@@ -321,6 +487,7 @@ const SC = {
     EDV: 120,
     Ea: 2.0,
     alpha: 0.02,
+    HR: 95,
     color: "#BC8CFF",
     highlight: "topleft",
     steps: [
@@ -342,79 +509,589 @@ const SC = {
       },
     ],
   },
+  pah: {
+    label: "Pulmonary HTN",
+    Ees: 2.5,
+    EDV: 95,
+    Ea: 2.2,
+    alpha: 0.02,
+    HR: 95,
+    rvEes: 0.4,
+    Rp: 0.45,
+    biv: true,
+    color: "#56D4DD",
+    highlight: "bottomright",
+    steps: [
+      {
+        title: "Pressure overload of the RV",
+        text: "Pulmonary vascular resistance (PVR) is several times normal. The RV must generate far higher systolic pressure to eject — the pink RV loop grows tall, and PA pressure in the readout is well above the normal ~25/10.",
+      },
+      {
+        title: "The RV dilates",
+        text: "The thin-walled RV is built for volume, not pressure. It cannot sustain the load: it dilates, its EF falls and its filling pressure (RVEDP, CVP) climbs.",
+      },
+      {
+        title: "Series interdependence: the LV underfills",
+        text: "The LV can only eject what the RV pushes through the lungs. Low RV output → low LA return → the LV loop is small and shifted left, with a low LAP and LVEDP. The left heart itself is normal.",
+      },
+      {
+        title: "Septal shift",
+        text: "Through the septum and the shared pericardium, the high right-sided pressure squeezes the LV (the 'D-shaped' LV on echo). More fluid mostly dilates the RV further and makes this worse — treatment targets PVR and RV contractility.",
+      },
+    ],
+  },
+  rvmi: {
+    label: "RV Infarct",
+    Ees: 2.5,
+    EDV: 85,
+    Ea: 2.2,
+    alpha: 0.02,
+    HR: 100,
+    rvEes: 0.1,
+    biv: true,
+    color: "#FF7B72",
+    highlight: "bottomright",
+    steps: [
+      {
+        title: "RV contractility collapses",
+        text: "An inferior MI involving the right coronary artery knocks out RV free-wall contraction. The RV ESPVR flattens — the RV loop shifts right and becomes narrow.",
+      },
+      {
+        title: "CVP above LAP",
+        text: "The weak RV dilates and its filling pressure rises. CVP ends up above LAP — the reverse of normal. Classic triad: hypotension, raised JVP, clear lungs.",
+      },
+      {
+        title: "A normal LV starved of volume",
+        text: "Little RV output crosses the lungs, so the normal LV underfills: small loop, low Stroke Volume (SV), low aortic pressure. The problem is upstream of a healthy LV.",
+      },
+      {
+        title: "Preload-dependent",
+        text: "Nitrates and diuretics can crash the pressure. Cautious fluid supports the RV — until the dilated RV meets the pericardium and the septal shift starts to limit LV filling.",
+      },
+    ],
+  },
 };
 
+const GROUPS = [
+  { label: "Conditions", keys: ["normal", "hfref", "hfpef"] },
+  { label: "Valvular", keys: ["as", "ar", "ms", "mr"] },
+  { label: "Acute", keys: ["hemorrhage", "fluid", "inotrope"] },
+  { label: "Right heart", keys: ["pah", "rvmi"] },
+];
+const BUILTIN_KEYS = Object.keys(SC);
+
+// Scenario catalog and picker groups with a pack applied. Normal stays
+// available as the reference loop even when a pack replaces the rest.
+function packCatalog(pack) {
+  if (!pack) return SC;
+  const base = pack.mode === "replace" ? { normal: SC.normal } : SC;
+  return { ...base, ...pack.scenarios };
+}
+function packGroups(pack) {
+  if (!pack) return GROUPS;
+  if (pack.mode === "replace") return pack.groups;
+  const out = GROUPS.map((g) => ({ ...g }));
+  for (const g of pack.groups) {
+    const same = out.find((o) => o.label === g.label);
+    if (same) same.keys = [...new Set([...same.keys, ...g.keys])];
+    else out.push(g);
+  }
+  return out;
+}
+
 const NORM = SC.normal;
 const normSt = computeState(NORM.Ees, NORM.EDV, NORM.Ea, NORM.alpha);
 
+// Patient fit inputs (text, blank = not measured) — a normal adult to start
+const FIT_FIELDS = [
+  { key: "EDV", unit: "mL" },
+  { key: "ESV", unit: "mL" },
+  { key: "EF", unit: "%" },
+  { key: "SBP", unit: "mmHg" },
+  { key: "DBP", unit: "mmHg" },
+  { key: "ESP", unit: "mmHg" },
+  { key: "LVEDP", unit: "mmHg" },
+  { key: "HR", unit: "bpm" },
+  { key: "tNd", unit: "PEP/Tsys" },
+];
+const FIT_DEFAULTS = {
+  EDV: "120",
+  ESV: "50",
+  EF: "",
+  SBP: "120",
+  DBP: "80",
+  ESP: "",
+  LVEDP: "8",
+  HR: "75",
+  tNd: String(TND_DEFAULT),
+};
+
 // ─── SVG ───
 const W = 540,
   H = 420;
+const FONT = "'JetBrains Mono','SF Mono','Fira Code',monospace";
 const PD = { t: 22, r: 22, b: 52, l: 56 };
 const GW = W - PD.l - PD.r,
   GH = H - PD.t - PD.b;
 const VMAX = 220,
   PMAX = 240;
+// Axis ranges { v, p } — widened past VMAX/PMAX when imported data need
+// it. The plot helpers take them as ax.
+function axesFor(data) {
+  if (!data) return { v: VMAX, p: PMAX };
+  const up = (x, lim) => Math.max(lim, Math.ceil((x * 1.05) / 50) * 50);
+  return { v: up(data.vmax, VMAX), p: up(data.pmax, PMAX) };
+}
+function axisTicks(max) {
+  const step = max > 400 ? 100 : 50;
+  const t = [];
+  for (let x = 0; x <= max; x += step) t.push(x);
+  return t;
+}
 
-function vX(v) {
-  return PD.l + (v / VMAX) * GW;
+function vX(v, ax) {
+  return PD.l + (v / ax.v) * GW;
 }
-function pY(p) {
-  return PD.t + GH - (Math.max(0, Math.min(p, PMAX)) / PMAX) * GH;
+function pY(p, ax) {
+  return PD.t + GH - (Math.max(0, Math.min(p, ax.p)) / ax.p) * GH;
 }
 
-// Loop generation — filling phase traces EDPVR exactly (no cap)
-function makeLoop(st, Ees, alpha) {
-  const { EDV, ESV, ESP, LVEDP, esvP0 } = st;
-  const pts = [];
-  // Phase a: diastolic filling along EDPVR — traces curve exactly
-  for (let i = 0; i <= 20; i++) {
-    const v = ESV + (EDV - ESV) * (i / 20);
-    const p = edpvr(v, alpha);
-    pts.push([v, p]);
+// Model inputs carried by scenarios and sliders; valves default to normal
+// and HR to the model's reference rate. A valve area at the top of the
+// slider range is unobstructed.
+const VALVE_OPEN = 4; // cm²
+const PARAMS = [
+  "Ees",
+  "EDV",
+  "Ea",
+  "alpha",
+  "V0",
+  "HR",
+  "mrEROA",
+  "arEROA",
+  "avArea",
+  "mvArea",
+  "rvEes",
+  "rvAlpha",
+  "Rp",
+];
+const PARAM_DEFAULTS = {
+  V0,
+  HR: HR_REF,
+  mrEROA: 0,
+  arEROA: 0,
+  avArea: VALVE_OPEN,
+  mvArea: VALVE_OPEN,
+  rvEes: RV.Ees,
+  rvAlpha: RV.alpha,
+  Rp: PULM.R,
+};
+function pick(src) {
+  const o = {};
+  for (const k of PARAMS) o[k] = src[k] ?? PARAM_DEFAULTS[k] ?? 0;
+  return o;
+}
+
+// ─── DEEP LINKS ───
+// App state as a URL hash, e.g. #sc=hfpef&step=3 or
+// #mode=manual&Ees=1.5&EDV=120&…&last=Ees. The hash survives the
+// /pv-loop-simulator/ base path and needs no server-side routing.
+// Parameters at their defaults are left out; interdependent links carry the
+// baseline snapshot as base.<param>.
+const LINK_SL = {
+  Ees: 2.5,
+  EDV: 120,
+  Ea: 2.0,
+  alpha: 0.02,
+  V0,
+  HR: 75,
+  mrEROA: 0,
+  arEROA: 0,
+  avArea: VALVE_OPEN,
+  mvArea: VALVE_OPEN,
+  _last: null,
+};
+const LINK_FLAGS = { biv: "biv", la: "showLA", occl: "occl", pva: "showPVA" };
+const num = (v) => String(+v.toFixed(4));
+
+function toHash(s) {
+  const q = new URLSearchParams();
+  const putParams = (src, prefix) => {
+    for (const k of PARAMS)
+      if (src[k] !== PARAM_DEFAULTS[k]) q.set(prefix + k, num(src[k]));
+  };
+  if (s.mode === "scenario") {
+    q.set("sc", s.scKey);
+    q.set("step", s.step + 1);
+    for (const k of Object.keys(DRUGS))
+      if (s.doses[k] > 0) q.set("rx." + k, num(s.doses[k]));
+    if (s.effort) q.set("effort", s.effort);
+  } else if (s.mode === "quiz" || s.mode === "predict") {
+    // The question itself stays out of the URL — a link would give it away
+    q.set("mode", s.mode);
+  } else {
+    q.set("mode", s.mode);
+    putParams(pick(s.sl), "");
+    if (s.mode === "interdependent") {
+      for (const k of ["R", "C", "Zc"]) q.set(k, num(s.sl[k]));
+      putParams(pick(s.base), "base.");
+    }
+    if (s.sl._last) q.set("last", s.sl._last);
   }
-  // Phase b: isovolumetric contraction
-  for (let i = 0; i <= 12; i++) {
-    const f = i / 12;
-    const p = LVEDP + (ESP - LVEDP) * f;
-    pts.push([EDV, p]);
+  for (const [k, key] of Object.entries(LINK_FLAGS)) if (s[key]) q.set(k, 1);
+  if (s.target === "RV") q.set("target", "RV");
+  return "#" + q.toString();
+}
+
+// Anything missing or malformed falls back to the app's defaults.
+// catalog: built-in plus custom scenarios
+function fromHash(hash, catalog) {
+  const q = new URLSearchParams(hash.replace(/^#/, ""));
+  const getParams = (prefix, fallback) => {
+    const o = { ...fallback };
+    for (const k of PARAMS) {
+      const v = parseFloat(q.get(prefix + k));
+      if (isFinite(v)) o[k] = v;
+    }
+    return pick(o);
+  };
+  const scKey = catalog[q.get("sc")] ? q.get("sc") : "normal";
+  const nSteps = catalog[scKey].steps?.length || 1;
+  const step = Math.min(
+    Math.max(parseInt(q.get("step")) - 1 || 0, 0),
+    nSteps - 1
+  );
+  const mode = ["manual", "interdependent", "quiz", "predict"].includes(
+    q.get("mode")
+  )
+    ? q.get("mode")
+    : "scenario";
+  const s = {
+    scKey,
+    step,
+    mode,
+    sl: LINK_SL,
+    base: null,
+    doses: {},
+    effort: 0,
+  };
+  if (mode === "scenario") {
+    for (const [k, d] of Object.entries(DRUGS)) {
+      const v = parseFloat(q.get("rx." + k));
+      if (v > 0) s.doses[k] = Math.min(v, d.max);
+    }
+    s.effort = Math.min(Math.max(parseInt(q.get("effort")) || 0, 0), 100);
   }
-  // Phase c: ejection — slight arc above ESP, respecting ESPVR
-  for (let i = 0; i <= 20; i++) {
-    const f = i / 20;
-    const v = EDV - (EDV - ESV) * f;
-    const straightP = ESP;
-    const peakBow = 8;
-    const bow = peakBow * Math.sin(f * Math.PI);
-    const espvrAtV = espvr(v, Ees);
-    const p = Math.min(straightP + bow, espvrAtV + 5);
-    pts.push([v, Math.max(p, ESP - 15)]);
+  if (mode === "manual" || mode === "interdependent") {
+    const last = q.get("last");
+    s.sl = {
+      ...getParams("", LINK_SL),
+      _last: [...PARAMS, "R", "C", "Zc"].includes(last) ? last : null,
+    };
+    if (mode === "interdependent") {
+      s.base = getParams("base.", s.sl);
+      // Windkessel values left out fall back to the fitted baseline's
+      for (const k of ["R", "C", "Zc"]) {
+        const v = parseFloat(q.get(k));
+        if (isFinite(v)) s.sl[k] = v;
+      }
+    }
   }
-  // Phase d: isovolumetric relaxation
-  for (let i = 0; i <= 12; i++) {
-    const f = i / 12;
-    const p = ESP - (ESP - esvP0) * f;
-    pts.push([ESV, p]);
+  for (const [k, key] of Object.entries(LINK_FLAGS)) s[key] = q.get(k) === "1";
+  s.target = s.biv && q.get("target") === "RV" ? "RV" : "LV";
+  return s;
+}
+
+// fromHash plus the fitted interdependent baseline it names
+function linkState(hash, catalog) {
+  const s = fromHash(hash, catalog);
+  if (s.base) {
+    s.base = coupledBase(s.base, s.biv);
+    s.sl = { R: s.base.beat.load.R, C: WK.C, Zc: WK.Zc, ...s.sl };
   }
-  return pts
-    .map(([v, p]) => `${vX(v).toFixed(1)},${pY(p).toFixed(1)}`)
+  return s;
+}
+// biv: run the biventricular model, with the RV inputs from pm. pm.sym
+// (sympathetic drive) comes only from exercise on a scenario; it is not a
+// PARAM, so sliders, links and saved scenarios never carry it.
+function lvParams(pm, biv) {
+  const { Ees, alpha, HR, sym, mrEROA, arEROA } = pm;
+  const avArea = narrowed(pm.avArea) ? pm.avArea : 0;
+  const mvArea = narrowed(pm.mvArea) ? pm.mvArea : 0;
+  const rv = biv ? { Ees: pm.rvEes, alpha: pm.rvAlpha, Rp: pm.Rp } : null;
+  return {
+    Ees,
+    V0: pm.V0 ?? V0,
+    A: A_ED,
+    alpha,
+    HR,
+    sym,
+    mrEROA,
+    arEROA,
+    avArea,
+    mvArea,
+    rv,
+  };
+}
+function narrowed(area) {
+  return area < VALVE_OPEN;
+}
+function isLeaky(pm) {
+  return pm.mrEROA > 0 || pm.arEROA > 0;
+}
+function isStenotic(pm) {
+  return narrowed(pm.avArea) || narrowed(pm.mvArea);
+}
+
+// Loop generation — simulated beat landing on the state's EDV/ESV. fitBeat
+// solves for the blood volume and peripheral resistance that put the beat
+// on st, the algebraic computeState/computeManual target: the beat's shape
+// is simulated, its EDV and ESV are not.
+function fitLoop(st, pm, biv) {
+  return fitBeat(st, lvParams(pm, biv));
+}
+
+// A scenario's beat at exercise intensity p.sym, from rest, its params at
+// rest. Exercise lowers SVR on the Windkessel: the R fitted to the resting
+// beat falls while C and Zc stay, so ESV, ESP and Ea come off the beat.
+// EDV is fitted to the exercise target, except behind a stenotic valve or
+// with the RV in the loop: there the resting circulation takes on the blood
+// volume the same LV, alone and without its lesions, needs to reach that
+// target, and the path to the LV decides how much of it fills.
+function exerciseLoop(
+  p,
+  rest,
+  biv,
+  restBeat = fitLoop(
+    computeState(rest.Ees, rest.EDV, rest.Ea, rest.alpha, rest.V0),
+    rest,
+    biv
+  )
+) {
+  const R = exerciseR(restBeat.load.R, p.sym, rest, EX_REF);
+  const st = computeState(p.Ees, p.EDV, p.Ea, p.alpha, p.V0);
+  if (!biv && !isStenotic(p)) return fitBeat(st, { ...lvParams(p, biv), R });
+  const bare = (q) => ({
+    ...lvParams(q, false),
+    mrEROA: 0,
+    arEROA: 0,
+    avArea: 0,
+    mvArea: 0,
+  });
+  const bareRest = fitBeat(
+    computeState(rest.Ees, rest.EDV, rest.Ea, rest.alpha, rest.V0),
+    bare(rest)
+  );
+  const bareBeat = fitBeat(st, {
+    ...bare(p),
+    R: exerciseR(bareRest.load.R, p.sym, rest, EX_REF),
+  });
+  const dV =
+    bloodVolume(bareBeat.end, bare(p)) - bloodVolume(bareRest.end, bare(rest));
+  const s = restBeat.end;
+  const beat = steadyState({ ...lvParams(p, biv), R }, { ...s, Vv: s.Vv + dV });
+  beat.load = { R };
+  return beat;
+}
+
+// Every 4th sample of the beat — the points drawn, and the points exported
+function loopSamples(beat) {
+  const pts = [];
+  for (let i = 0; i < beat.V.length; i += 4)
+    pts.push({ t: beat.t[i], V: beat.V[i], P: beat.P[i] });
+  return pts;
+}
+
+function makeLoop(beat, ax) {
+  return loopSamples(beat)
+    .map((q) => `${vX(q.V, ax).toFixed(1)},${pY(q.P, ax).toFixed(1)}`)
+    .join(" ");
+}
+
+// The fit lands within a mL of its target unless the beat cannot get
+// there (a weak ventricle at a fast rate runs out of time to eject)
+function onTarget(beat, st) {
+  return Math.abs(beat.EDV - st.EDV) < 1 && Math.abs(beat.ESV - st.ESV) < 1;
+}
+
+// A loop fitted to params p, drawn beside the one on show, with its
+// SNAP_METRICS. Params at an exercise intensity (p.sym) need rest, the
+// scenario's params at rest.
+function sideLoop(p, biv, ax, rest) {
+  const st = computeState(p.Ees, p.EDV, p.Ea, p.alpha, p.V0);
+  const b = p.sym ? exerciseLoop(p, rest, biv) : fitLoop(st, p, biv);
+  const v =
+    p.sym || biv || isLeaky(p) || isStenotic(p) || !onTarget(b, st)
+      ? beatState(b, p.alpha)
+      : st;
+  const fwd = isLeaky(p) ? b.vol.fwd : v.SV;
+  return {
+    loop: makeLoop(b, ax),
+    esp: makeCurve("espvr", p.Ees, ax, p.V0),
+    vals: {
+      EDV: v.EDV,
+      ESV: v.ESV,
+      SV: v.SV,
+      EF: v.EF,
+      ESP: v.ESP,
+      LVEDP: v.LVEDP,
+      Ees: p.Ees,
+      Ea: v.ESP / v.SV,
+      HR: p.HR,
+      CO: (fwd * p.HR) / 1000,
+    },
+  };
+}
+
+// ─── MORPHING ───
+// A transition blends two loops point by point: each beat is resampled to
+// MORPH_SEG points per phase (filling end → AV opening → end-systole → MV
+// opening → end), so corners travel to corners. ESPVR and EDPVR blend
+// through their parameters.
+const MORPH_SEG = 40;
+const MORPH_SPEEDS = [
+  { key: "off", label: "Off", ms: 0 },
+  { key: "slow", label: "Slow", ms: 1800 },
+  { key: "normal", label: "Normal", ms: 700 },
+  { key: "fast", label: "Fast", ms: 300 },
+];
+const TRAILS = [0.25, 0.5, 0.75];
+
+function morphShape(beat, Ees, alpha, v0) {
+  const n = beat.V.length;
+  const { avo, es, mvo } = beat.ev;
+  const knots =
+    0 < avo && avo < es && es < mvo && mvo < n - 1
+      ? [0, avo, es, mvo, n - 1]
+      : [0, 1, 2, 3, 4].map((k) => Math.round((k * (n - 1)) / 4));
+  const pts = [];
+  for (let k = 0; k < 4; k++)
+    for (let j = 0; j < MORPH_SEG; j++) {
+      const x = knots[k] + ((knots[k + 1] - knots[k]) * j) / MORPH_SEG;
+      const i = Math.min(Math.floor(x), n - 2),
+        f = x - i;
+      pts.push([
+        beat.V[i] + (beat.V[i + 1] - beat.V[i]) * f,
+        beat.P[i] + (beat.P[i + 1] - beat.P[i]) * f,
+      ]);
+    }
+  return { pts, Ees, alpha, V0: v0 };
+}
+
+function blendShape(a, b, u) {
+  const mix = (x, y) => x + (y - x) * u;
+  return {
+    pts: a.pts.map(([v, p], k) => [mix(v, b.pts[k][0]), mix(p, b.pts[k][1])]),
+    Ees: mix(a.Ees, b.Ees),
+    alpha: mix(a.alpha, b.alpha),
+    V0: mix(a.V0, b.V0),
+  };
+}
+
+function shapeLoop(shape, ax) {
+  return shape.pts
+    .map(([v, p]) => `${vX(v, ax).toFixed(1)},${pY(p, ax).toFixed(1)}`)
     .join(" ");
 }
 
-function makeCurve(type, param) {
+// Occlusion fits as drawable lines: the ESPVR regression from its V0
+// intercept past the largest end-systolic point, the EDPVR fit up to EDV
+function fitLines({ es, ed, espvr: f, edpvr: g }, ax) {
+  const vEs = Math.max(...es.map((q) => q.V)) + 25;
+  const vEd = Math.max(...ed.map((q) => q.V)) + 15;
+  const pts = [];
+  for (let v = 0; v <= vEd; v += 4)
+    pts.push(
+      `${vX(v, ax).toFixed(1)},${pY(g.A * (Math.exp(g.alpha * v) - 1), ax).toFixed(1)}`
+    );
+  return {
+    es: {
+      x1: vX(f.V0, ax),
+      y1: pY(0, ax),
+      x2: vX(vEs, ax),
+      y2: pY(f.Ees * (vEs - f.V0), ax),
+    },
+    ed: pts.join(" "),
+  };
+}
+
+// Imported beats, thinned to about 300 points each, with ED/ES points
+function makeDataLoops(data, ax) {
+  return data.beats.map((b) => {
+    const step = Math.max(1, Math.floor(b.V.length / 300));
+    const pts = [];
+    for (let i = 0; i < b.V.length; i += step)
+      pts.push(`${vX(b.V[i], ax).toFixed(1)},${pY(b.P[i], ax).toFixed(1)}`);
+    return {
+      pts: pts.join(" "),
+      ed: { V: b.V[b.ed], P: b.P[b.ed] },
+      es: { V: b.V[b.es], P: b.P[b.es] },
+    };
+  });
+}
+
+// LA and RV pressure–volume loops, on the same axes as the LV
+function makeRvLoop(beat, ax) {
+  const pts = [];
+  for (let i = 0; i < beat.rv.V.length; i += 4)
+    pts.push(
+      `${vX(beat.rv.V[i], ax).toFixed(1)},${pY(beat.rv.P[i], ax).toFixed(1)}`
+    );
+  return pts.join(" ");
+}
+
+function makeLaLoop(beat, ax) {
+  const pts = [];
+  for (let i = 0; i < beat.Vla.length; i += 4)
+    pts.push(
+      `${vX(beat.Vla[i], ax).toFixed(1)},${pY(beat.Pla[i], ax).toFixed(1)}`
+    );
+  return pts.join(" ");
+}
+
+// Aortic pressure during ejection, against LV volume — it runs below the
+// top of the loop by the transvalvular gradient.
+function makeAoTrace(beat, ax) {
+  const { avo, avc } = beat.ev;
+  if (avo < 0) return null;
+  const end = avc < 0 ? beat.V.length - 1 : avc;
+  const pts = [];
+  for (let i = avo; i <= end; i += 2)
+    pts.push(
+      `${vX(beat.V[i], ax).toFixed(1)},${pY(beat.Pao[i], ax).toFixed(1)}`
+    );
+  return pts.join(" ");
+}
+
+// Loop corners from the beat's valve events: ed = mitral closure,
+// avo = aortic opening, es = end-systole, mvo = mitral opening.
+function beatCorners(beat) {
+  const at = (i) => ({ V: beat.V[Math.max(i, 0)], P: beat.P[Math.max(i, 0)] });
+  let pk = 0;
+  for (let i = 1; i < beat.P.length; i++) if (beat.P[i] > beat.P[pk]) pk = i;
+  return {
+    ed: at(0),
+    avo: at(beat.ev.avo),
+    es: at(beat.ev.es),
+    mvo: at(beat.ev.mvo),
+    peak: at(pk),
+  };
+}
+
+function makeCurve(type, param, ax, v0 = V0) {
   const pts = [];
-  for (let v = type === "espvr" ? V0 : 0; v <= 210; v += 2) {
-    const p = type === "espvr" ? espvr(v, param) : edpvr(v, param);
-    if (p > PMAX + 10) break;
+  for (let v = type === "espvr" ? Math.max(v0, 0) : 0; v <= ax.v - 10; v += 2) {
+    const p = type === "espvr" ? espvr(v, param, v0) : edpvr(v, param);
+    if (p > ax.p + 10) break;
     if (type === "edpvr" && p > 65) break; // cap display
-    pts.push(`${vX(v).toFixed(1)},${pY(p).toFixed(1)}`);
+    pts.push(`${vX(v, ax).toFixed(1)},${pY(p, ax).toFixed(1)}`);
   }
   return pts.join(" ");
 }
 
-function D({ val, reference }) {
+function D({ val, reference, tol = 0.5 }) {
   const d = val - reference;
-  if (Math.abs(d) < 0.5) return null;
+  if (Math.abs(d) < tol) return null;
   return (
     <span
       style={{
@@ -429,118 +1106,891 @@ function D({ val, reference }) {
   );
 }
 
-function getHL(key, pv) {
+// Readout cell: value, ▲▼ against Normal, unit line
+function Metric({ m, showRef }) {
+  return (
+    <div style={{ textAlign: "center" }}>
+      <div style={{ fontSize: 8, color: "#8B949E" }}>{m.label}</div>
+      <div style={{ fontSize: 11, color: "#E6EDF3", fontWeight: 600 }}>
+        {m.text ?? m.val.toFixed(m.digits ?? 0)}
+        {showRef && <D val={m.val} reference={m.ref} tol={m.tol} />}
+      </div>
+      <div style={{ fontSize: 7, color: "#484F58" }}>{m.unit}</div>
+    </div>
+  );
+}
+
+// EDV, ESV and SV over a transient run; beat 0 is the last before the step
+const TREND = [
+  { key: "EDV", color: "#58A6FF" },
+  { key: "ESV", color: "#FFA657" },
+  { key: "SV", color: "#3FB950" },
+];
+function BeatTrend({ beats }) {
+  const h = 130,
+    pd = { t: 10, r: 64, b: 22, l: 40 };
+  const rows = beats.map((b) => ({
+    EDV: b.EDV,
+    ESV: b.ESV,
+    SV: b.EDV - b.ESV,
+  }));
+  const all = rows.flatMap((r) => TREND.map(({ key }) => r[key]));
+  const lo = Math.floor(Math.min(...all) / 10) * 10;
+  const hi = Math.max(Math.ceil(Math.max(...all) / 10) * 10, lo + 20);
+  const x = (i) => pd.l + (i * (W - pd.l - pd.r)) / (beats.length - 1);
+  const y = (v) => pd.t + ((hi - v) * (h - pd.t - pd.b)) / (hi - lo);
+  const every = beats.length > 13 ? 4 : 1;
+  return (
+    <svg
+      viewBox={`0 0 ${W} ${h}`}
+      style={{ width: "100%", height: "auto", display: "block" }}
+    >
+      {[lo, (lo + hi) / 2, hi].map((v) => (
+        <g key={v}>
+          <line
+            x1={pd.l}
+            y1={y(v)}
+            x2={W - pd.r}
+            y2={y(v)}
+            stroke="#21262D"
+            strokeWidth={1}
+          />
+          <text
+            x={pd.l - 6}
+            y={y(v) + 3}
+            textAnchor="end"
+            fill="#484F58"
+            fontSize={9}
+            fontFamily="inherit"
+          >
+            {v}
+          </text>
+        </g>
+      ))}
+      <line
+        x1={(x(0) + x(1)) / 2}
+        y1={pd.t}
+        x2={(x(0) + x(1)) / 2}
+        y2={h - pd.b}
+        stroke="#E3B341"
+        strokeWidth={1}
+        strokeDasharray="3,3"
+        opacity={0.6}
+      />
+      {rows.map(
+        (_, i) =>
+          i % every === 0 && (
+            <text
+              key={i}
+              x={x(i)}
+              y={h - pd.b + 13}
+              textAnchor="middle"
+              fill="#484F58"
+              fontSize={9}
+              fontFamily="inherit"
+            >
+              {i}
+            </text>
+          )
+      )}
+      {TREND.map(({ key, color }) => (
+        <g key={key}>
+          <polyline
+            points={rows
+              .map((r, i) => `${x(i).toFixed(1)},${y(r[key]).toFixed(1)}`)
+              .join(" ")}
+            fill="none"
+            stroke={color}
+            strokeWidth={1.5}
+          />
+          {rows.map((r, i) => (
+            <circle key={i} cx={x(i)} cy={y(r[key])} r={2} fill={color} />
+          ))}
+          <text
+            x={W - pd.r + 6}
+            y={y(rows[rows.length - 1][key]) + 3}
+            fill={color}
+            fontSize={9}
+            fontFamily="inherit"
+          >
+            {key} {rows[rows.length - 1][key].toFixed(0)}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+function getHL(key, cn, ax) {
   if (!key) return null;
   const m = {
-    topleft: { cx: vX(pv.ESV), cy: pY(pv.ESP), label: "End-systolic point" },
+    topleft: {
+      cx: vX(cn.es.V, ax),
+      cy: pY(cn.es.P, ax),
+      label: "End-systolic point",
+    },
     bottomright: {
-      cx: vX(pv.EDV),
-      cy: pY(pv.LVEDP),
+      cx: vX(cn.ed.V, ax),
+      cy: pY(cn.ed.P, ax),
       label: "Preload (EDV)",
     },
-    topright: { cx: vX(pv.EDV), cy: pY(pv.ESP), label: "Peak pressure" },
+    topright: {
+      cx: vX(cn.peak.V, ax),
+      cy: pY(cn.peak.P, ax),
+      label: "Peak pressure",
+    },
   };
   return m[key] || null;
 }
 
+// ─── SLIDERS ───
+const SLIDERS = [
+  { key: "Ees", label: "Contractility (Ees)", min: 0.5, max: 5, step: 0.1 },
+  { key: "EDV", label: "Preload (EDV)", min: 60, max: 220, step: 2 },
+  { key: "Ea", label: "Afterload (Ea)", min: 0.5, max: 4, step: 0.1 },
+  {
+    key: "alpha",
+    label: "Compliance (α)",
+    min: 0.005,
+    max: 0.04,
+    step: 0.001,
+    digits: 3,
+  },
+  {
+    key: "HR",
+    label: "Heart rate (HR)",
+    min: 40,
+    max: 180,
+    step: 1,
+    digits: 0,
+  },
+  {
+    key: "mrEROA",
+    label: "MR orifice (cm²)",
+    min: 0,
+    max: 0.6,
+    step: 0.02,
+    digits: 2,
+  },
+  {
+    key: "arEROA",
+    label: "AR orifice (cm²)",
+    min: 0,
+    max: 0.6,
+    step: 0.02,
+    digits: 2,
+  },
+  {
+    key: "avArea",
+    label: "AV area (cm²)",
+    min: 0.4,
+    max: VALVE_OPEN,
+    step: 0.1,
+  },
+  {
+    key: "mvArea",
+    label: "MV area (cm²)",
+    min: 0.4,
+    max: VALVE_OPEN,
+    step: 0.1,
+  },
+];
+
+// Biventricular runs: the same slider roles, aimed at the RV. Its preload
+// follows from the circulation, its afterload is the pulmonary resistance.
+const RV_SLIDERS = [
+  {
+    key: "rvEes",
+    label: "RV contractility (Ees)",
+    min: 0.05,
+    max: 1.5,
+    step: 0.01,
+    digits: 2,
+  },
+  {
+    key: "Rp",
+    label: "RV afterload (PVR)",
+    min: 0.03,
+    max: 0.8,
+    step: 0.01,
+    digits: 2,
+  },
+  {
+    key: "rvAlpha",
+    label: "RV compliance (α)",
+    min: 0.01,
+    max: 0.04,
+    step: 0.001,
+    digits: 3,
+  },
+  SLIDERS.find((d) => d.key === "HR"),
+];
+
+// Drug and exercise effects stop at the slider ranges
+const RX_LIMITS = Object.fromEntries(
+  [...SLIDERS, ...RV_SLIDERS].map((d) => [d.key, [d.min, d.max]])
+);
+
+// Scenario params with its drugs, and at an exercise intensity (%); exercise
+// scales contractile reserve and relaxation against the Normal ventricle
+const EX_REF = {
+  Ees: NORM.Ees,
+  alpha: REF_ALPHA,
+  A: A_ED,
+  rvEes: RV.Ees,
+  Rp: PULM.R,
+};
+function treat(p, doses) {
+  return isDosed(doses) ? applyDrugs(p, doses, RX_LIMITS) : p;
+}
+function exert(p, effort) {
+  return effort > 0 ? applyExercise(p, effort / 100, EX_REF, RX_LIMITS) : p;
+}
+
+// Interdependent mode: afterload is the Windkessel, Ea is derived
+const WK_SLIDERS = [
+  ...SLIDERS.filter((d) => d.key !== "Ea"),
+  {
+    key: "R",
+    label: "Resistance (R)",
+    min: 0.3,
+    max: 3,
+    step: 0.02,
+    digits: 2,
+  },
+  { key: "C", label: "Art. compliance (C)", min: 0.4, max: 3, step: 0.1 },
+  {
+    key: "Zc",
+    label: "Char. impedance (Zc)",
+    min: 0.01,
+    max: 0.15,
+    step: 0.005,
+    digits: 3,
+  },
+];
+
+// Patient fit: estimate the parameters, clamp them to the slider ranges and
+// simulate the result. Residuals are simulated minus measured. chen: take
+// Ees and V0 from the single-beat method instead of holding V0.
+function fitPatient(fitIn, chen) {
+  const m = {};
+  for (const k in fitIn) if (fitIn[k] !== "") m[k] = parseFloat(fitIn[k]);
+  let e;
+  try {
+    e = estimate(m, { V0, A: A_ED }, { chen });
+  } catch (err) {
+    return { error: err.message };
+  }
+  const params = {
+    Ees: e.Ees,
+    EDV: e.meas.EDV,
+    Ea: e.Ea,
+    alpha: e.alpha,
+    V0: e.V0,
+    HR: m.HR || NORM.HR,
+  };
+  const clamped = chen && e.V0 !== e.chen.V0 ? ["V0"] : [];
+  for (const { key, min, max } of SLIDERS) {
+    if (!(key in params)) continue;
+    const v = Math.min(max, Math.max(min, params[key]));
+    if (v !== params[key]) clamped.push(key);
+    params[key] = v;
+  }
+  const { Ees, EDV, Ea, alpha } = params;
+  const b = fitLoop(computeState(Ees, EDV, Ea, alpha, params.V0), pick(params));
+  const { meas } = e;
+  const rows = [
+    { label: "EDV", meas: meas.EDV, sim: b.EDV, unit: "mL" },
+    { label: "ESV", meas: meas.ESV, sim: b.ESV, unit: "mL" },
+    {
+      label: "EF",
+      meas: meas.EF,
+      sim: ((b.EDV - b.ESV) / b.EDV) * 100,
+      unit: "%",
+    },
+    { label: "ESP", meas: meas.ESP, sim: b.ESP, unit: "mmHg" },
+    { label: "LVEDP", meas: meas.LVEDP, sim: b.LVEDP, unit: "mmHg" },
+  ];
+  if (m.SBP > 0)
+    rows.push({ label: "SBP", meas: m.SBP, sim: b.ao.sys, unit: "mmHg" });
+  if (m.DBP > 0)
+    rows.push({ label: "DBP", meas: m.DBP, sim: b.ao.dia, unit: "mmHg" });
+  return { est: e, params, clamped, rows };
+}
+
+// ─── SNAPSHOTS ───
+// Pinned loops drawn over the live one, each taking the next palette color
+const SNAP_COLORS = [
+  "#F778BA",
+  "#56D364",
+  "#FFA657",
+  "#79C0FF",
+  "#FF7B72",
+  "#A5D6FF",
+  "#7EE787",
+  "#FFD8B5",
+];
+const SNAP_METRICS = [
+  { key: "EDV", unit: "mL" },
+  { key: "ESV", unit: "mL" },
+  { key: "SV", unit: "mL" },
+  { key: "EF", unit: "%" },
+  { key: "ESP", unit: "mmHg" },
+  { key: "LVEDP", unit: "mmHg", digits: 1 },
+  { key: "Ees", unit: "mmHg/mL", digits: 2 },
+  { key: "Ea", unit: "mmHg/mL", digits: 2 },
+  { key: "HR", unit: "bpm" },
+  { key: "CO", unit: "L/min", digits: 1 },
+];
+
+// Transients: beats run after a change, and how long the loop must stand
+// still to count as the state before the next one (a slider drag is one step)
+const TRANSIENT_BEATS = [6, 12, 24];
+const SETTLE_MS = 500;
+
+// Predict exercises: how long the proposed slider move takes to play out
+const ANIM_MS = 1200;
+
 // ═══════════ COMPONENT ═══════════
 export default function PVLoop() {
-  const [scKey, setScKey] = useState("normal");
-  const [step, setStep] = useState(0);
-  const [sl, setSl] = useState({
-    Ees: 2.5,
-    EDV: 120,
-    Ea: 2.0,
-    alpha: 0.02,
-    _last: null,
+  // Scenario pack (file, kept in localStorage, or ?pack= at startup) and
+  // scenarios authored in the app, saved in localStorage
+  const [pack, setPack] = useState(() => loadSavedPack(BUILTIN_KEYS));
+  const [packErr, setPackErr] = useState(null);
+  const [packUrl] = useState(
+    () =>
+      new URLSearchParams(window.location.search).get("pack") ||
+      import.meta.env?.VITE_SCENARIO_PACK
+  );
+  // Deep links wait for a startup pack, which may hold the linked scenario
+  const [packWait, setPackWait] = useState(!!packUrl);
+  const [custom, setCustom] = useState(loadCustom);
+  const catalog = useMemo(
+    () => ({ ...packCatalog(pack), ...custom }),
+    [pack, custom]
+  );
+  const groups = useMemo(
+    () => [
+      ...packGroups(pack),
+      { label: "Custom", keys: Object.keys(custom), custom: true },
+    ],
+    [pack, custom]
+  );
+  // Scenario being edited: { key (null when new), fields… }
+  const [draft, setDraft] = useState(null);
+  const [customErr, setCustomErr] = useState(null);
+  // State the page was opened with (deep link, or the defaults)
+  const [link] = useState(() => linkState(window.location.hash, catalog));
+  const [scKey, setScKey] = useState(link.scKey);
+  const [step, setStep] = useState(link.step);
+  const [slNow, setSl] = useState(link.sl);
+  const [mode, setMode] = useState(link.mode);
+  // Fitted snapshot the interdependent mode was entered from
+  const [base, setBase] = useState(link.base);
+  const [body, setBody] = useState({ h: 170, w: 70 });
+  const [showPVA, setShowPVA] = useState(link.showPVA);
+  // Drug doses and exercise intensity (%) stacked on the scenario, and the
+  // last of them moved ("rx.<drug>" or "effort")
+  const [dosesNow, setDoses] = useState(link.doses);
+  const [effortNow, setEffort] = useState(link.effort);
+  const scMove = useRef(null);
+  // The sliders show where they are at once; the loops are refitted from
+  // deferred copies, so a drag skips positions it has already left. Slider
+  // values set under another mode or snapshot are taken as they are.
+  const slSet = useMemo(() => ({ sl: slNow, mode, base }), [slNow, mode, base]);
+  const slLag = useDeferredValue(slSet);
+  const sl = slLag.mode === mode && slLag.base === base ? slLag.sl : slNow;
+  const doses = useDeferredValue(dosesNow);
+  const effort = useDeferredValue(effortNow);
+  // Patient fit panel and its measurement inputs
+  const [showFit, setShowFit] = useState(false);
+  const [fitIn, setFitIn] = useState(FIT_DEFAULTS);
+  const [fitChen, setFitChen] = useState(false);
+  const [showLA, setShowLA] = useState(link.showLA);
+  const [occl, setOccl] = useState(link.occl);
+  // Imported measured PV data: { name, beats, vmax, pmax } or an error
+  const [data, setData] = useState(null);
+  const [dataErr, setDataErr] = useState(null);
+  // Export: the live chart, PNG resolution multiplier, last failure
+  const svgRef = useRef(null);
+  const [pngScale, setPngScale] = useState(2);
+  const [exportErr, setExportErr] = useState(null);
+  // Biventricular model on/off, and which ventricle the sliders act on
+  const [biv, setBiv] = useState(link.biv);
+  const [target, setTarget] = useState(link.target);
+  // Quiz: question type and jitter, the open question, corners marked so
+  // far, and the answers given this session
+  const [quizOpts, setQuizOpts] = useState({ type: "name", jitter: false });
+  const [quiz, setQuiz] = useState(null);
+  const [guess, setGuess] = useState({});
+  const [quizLog, setQuizLog] = useState([]);
+  // Predict-then-reveal: the open exercise, the slider move being played
+  // back ({ key, from, to }) and the session's scores
+  const [ex, setEx] = useState(null);
+  const [anim, setAnim] = useState(null);
+  const [exLog, setExLog] = useState([]);
+  // Pinned snapshots: { id, name, color, on, beat, Ees, alpha, vals }
+  const [snaps, setSnaps] = useState([]);
+  const snapSeq = useRef(0);
+  // Transition speed (MORPH_SPEEDS key) and whether to leave ghost loops
+  const [speed, setSpeed] = useState("normal");
+  const [trails, setTrails] = useState(true);
+  // Beat-by-beat transient after each change, and its length in beats
+  const [showTr, setShowTr] = useState(false);
+  const [trN, setTrN] = useState(12);
+  // Mechanical support on show: { key (DEVICES), value } or null
+  const [device, setDevice] = useState(null);
+  // Wiggers panel: cycles shown, cursor time (s), playback rate (0 = paused)
+  const [showWig, setShowWig] = useState(false);
+  const [cycles, setCycles] = useState(2);
+  const [wigT, setWigT] = useState(0);
+  const [wigRate, setWigRate] = useState(0.25);
+
+  // Keep the URL in step with the state. Each change is a history entry,
+  // except that a run of moves on one slider shares a single entry.
+  const hash = toHash({
+    scKey,
+    step,
+    mode,
+    sl,
+    base,
+    doses,
+    effort,
+    biv,
+    target,
+    showLA,
+    occl,
+    showPVA,
   });
-  const [mode, setMode] = useState("scenario");
-
-  const sc = SC[scKey];
-  // Manual mode: per-slider behavior for independent effects teaching.
-  // Ea: ESP floats. EDV: Starling (computeState). Ees: ESP pinned. Alpha: ESP pinned, EDV shifts.
-  const pv = useMemo(() => {
-    if (mode === "scenario")
-      return computeState(sc.Ees, sc.EDV, sc.Ea, sc.alpha);
-    // Ea slider: full computeState, ESP floats
-    if (sl._last === "Ea")
-      return computeState(sl.Ees, sl.EDV, sl.Ea, sl.alpha);
-    // Alpha slider: stiffer wall → less filling, ESP pinned
-    if (sl._last === "alpha") {
-      const effEDV = getEffectiveEDV(sl.EDV, sl.alpha);
-      const refESP = normSt.ESP;
-      const maxEDV = sl.alpha > 0.001 ? Math.log(refESP / A_ED + 1) / sl.alpha : effEDV;
-      const clampedEDV = Math.min(effEDV, maxEDV);
-      const ESP = Math.min(refESP, sl.Ees * (clampedEDV - V0));
-      const ESV = Math.max(V0 + 1, Math.min(ESP / sl.Ees + V0, clampedEDV - 1));
-      const SV = clampedEDV - ESV;
-      const EF = (SV / clampedEDV) * 100;
-      const LVEDP = A_ED * (Math.exp(sl.alpha * clampedEDV) - 1);
-      const esvP0 = A_ED * (Math.exp(sl.alpha * ESV) - 1);
-      return { EDV: clampedEDV, ESV, ESP, SV, EF, LVEDP, esvP0 };
-    }
-    // EDV slider: full computeState (Starling — rides up ESPVR)
-    if (sl._last === "EDV") {
-      // Clamp EDV so LVEDP never exceeds ESP (prevents inverted loop)
-      const trial = computeState(sl.Ees, sl.EDV, sl.Ea, sl.alpha);
-      if (trial.LVEDP < trial.ESP) return trial;
-      const maxEDV = sl.alpha > 0.001 ? Math.log(trial.ESP / A_ED + 1) / sl.alpha : sl.EDV;
-      return computeState(sl.Ees, Math.min(sl.EDV, maxEDV), sl.Ea, sl.alpha);
+  const lastKind = useRef("load");
+  useEffect(() => {
+    if (packWait) return;
+    const kind =
+      mode === "scenario"
+        ? scMove.current && `${scKey}:${step}:${scMove.current}`
+        : `${mode}:${sl._last}`;
+    if (window.location.hash !== hash) {
+      const url = window.location.pathname + window.location.search + hash;
+      const replace =
+        lastKind.current === "load" || (kind && kind === lastKind.current);
+      window.history[replace ? "replaceState" : "pushState"](null, "", url);
     }
-    // Ees slider: pin ESP at reference value
-    const refESP = normSt.ESP;
-    // Clamp EDV so LVEDP never exceeds ESP (prevents inverted loop)
-    const maxEDV = sl.alpha > 0.001 ? Math.log(refESP / A_ED + 1) / sl.alpha : sl.EDV;
-    const EDV = Math.min(sl.EDV, maxEDV);
-    // Clamp ESP if ESPVR can't reach pinned value at this EDV
-    const ESP = Math.min(refESP, sl.Ees * (EDV - V0));
-    // ESV from ESPVR: ESP = Ees*(ESV-V0) → ESV = ESP/Ees + V0
-    const ESV = Math.max(V0 + 1, Math.min(ESP / sl.Ees + V0, EDV - 1));
-    const SV = EDV - ESV;
-    const EF = (SV / EDV) * 100;
-    const LVEDP = A_ED * (Math.exp(sl.alpha * EDV) - 1);
-    const esvP0 = A_ED * (Math.exp(sl.alpha * ESV) - 1);
-    return { EDV, ESV, ESP, SV, EF, LVEDP, esvP0 };
-  }, [mode, sc, sl]);
-  const pm =
-    mode === "scenario"
-      ? sc
-      : { Ees: sl.Ees, EDV: pv.EDV, Ea: sl.Ea, alpha: sl.alpha };
+    lastKind.current = kind;
+  }, [hash, packWait]);
+  // Back/forward (or an edited hash) restores that entry's state
+  // Apply the URL hash, resolving scenario keys against cat
+  const restoreLink = useCallback((cat) => {
+    const s = linkState(window.location.hash, cat);
+    setScKey(s.scKey);
+    setStep(s.step);
+    setMode(s.mode);
+    setSl(s.sl);
+    setBase(s.base);
+    setDoses(s.doses);
+    setEffort(s.effort);
+    setBiv(s.biv);
+    setTarget(s.target);
+    setShowLA(s.showLA);
+    setOccl(s.occl);
+    setShowPVA(s.showPVA);
+    // A hand-edited hash is rewritten in place, not pushed
+    const h = toHash(s);
+    if (window.location.hash !== h) window.history.replaceState(null, "", h);
+    lastKind.current = null;
+  }, []);
+  useEffect(() => {
+    const onPop = () => restoreLink(catalog);
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [restoreLink, catalog]);
+  // ?pack=<path>, relative to the site, e.g. ?pack=packs/pericardium.json
+  useEffect(() => {
+    if (!packUrl) return;
+    fetch(new URL(packUrl, document.baseURI))
+      .then((res) => {
+        if (!res.ok) throw new Error(`${packUrl}: HTTP ${res.status}`);
+        return res.text();
+      })
+      .then((text) => {
+        const p = parsePack(text, BUILTIN_KEYS);
+        setPack(p);
+        setPackErr(null);
+        setPackWait(false);
+        restoreLink({ ...packCatalog(p), ...custom });
+      })
+      .catch((err) => {
+        setPackErr(err.errors || [err.message]);
+        setPackWait(false);
+      });
+  }, [packUrl]);
+  useEffect(() => saveCustom(custom), [custom]);
+
+  // Every scenario in the groups on show is fair game
+  const nextQuestion = (opts = quizOpts) => {
+    const keys = [...new Set(groups.flatMap((g) => g.keys))];
+    const q = makeQuestion(catalog, keys, opts, quiz?.key);
+    setQuiz(q);
+    setGuess({});
+    setBiv(q.biv);
+    if (!q.biv) setTarget("LV");
+  };
+  useEffect(() => {
+    if (mode === "quiz" && !quiz && !packWait) nextQuestion();
+  }, [mode, quiz, packWait]);
+
+  // Exercises start from Normal, with the sliders back on it
+  const nextExercise = () => {
+    setAnim(null);
+    setSl({ ...pick(NORM), _last: null });
+    setTarget("LV");
+    setEx(makeExercise(pick(NORM), SLIDERS, ex?.key));
+  };
+  useEffect(() => {
+    if (mode === "predict" && !ex) nextExercise();
+  }, [mode, ex]);
+  // Play a slider move back over ANIM_MS: the sliders take the end value
+  // at once and the loop blends there from the start's beat, so only the
+  // two ends are fitted, not a beat per frame
+  const playMove = () => {
+    const start = { ...pick(NORM), _last: null };
+    const b = fitLoop(computeManual(start), start, biv);
+    setSl({ ...start, [ex.key]: ex.to, _last: ex.key });
+    setAnim({ from: morphShape(b, start.Ees, start.alpha) });
+  };
+  useEffect(() => {
+    if (!anim) return;
+    const id = setTimeout(() => setAnim(null), ANIM_MS);
+    return () => clearTimeout(id);
+  }, [anim]);
+
+  // A deleted custom scenario falls back to Normal. A step may adjust the
+  // scenario's parameters and highlight, and carry annotations.
+  const scBase = catalog[scKey] || NORM;
+  const sc = useMemo(
+    () => ({ ...scBase, ...scBase.steps[step]?.params }),
+    [scBase, step]
+  );
+  const axes = useMemo(() => axesFor(data), [data]);
+  // Model inputs: the scenario's (with any drugs), or the sliders'
+  const quizSc = quiz && (catalog[quiz.key] || NORM);
+  const dosed = mode === "scenario" && isDosed(doses);
+  const exerting = mode === "scenario" && effort > 0;
+  const rest = useMemo(
+    () => (mode === "scenario" ? treat(pick(sc), doses) : null),
+    [mode, sc, doses]
+  );
+  const pp = useMemo(() => {
+    if (mode === "scenario") return exert(rest, effort);
+    return pick(mode === "quiz" ? quiz?.params || NORM : sl);
+  }, [mode, rest, sl, quiz, effort]);
+  const depBeat = useMemo(
+    () => (mode === "interdependent" ? coupledBeat(base, sl) : null),
+    [mode, base, sl]
+  );
+  // Target state the simulated beat is fitted to
+  const st = useMemo(() => {
+    if (mode === "scenario" || mode === "quiz")
+      return computeState(pp.Ees, pp.EDV, pp.Ea, pp.alpha, pp.V0);
+    if (mode === "interdependent") return beatState(depBeat, sl.alpha);
+    return computeManual(sl);
+  }, [mode, pp, sl, depBeat]);
+  // The scenario's beat at rest, whose R exercise lowers
+  const restBeat = useMemo(
+    () =>
+      exerting
+        ? fitLoop(
+            computeState(rest.Ees, rest.EDV, rest.Ea, rest.alpha, rest.V0),
+            rest,
+            biv
+          )
+        : null,
+    [exerting, rest, biv]
+  );
+  const beat = useMemo(
+    () =>
+      depBeat ||
+      (restBeat ? exerciseLoop(pp, rest, biv, restBeat) : fitLoop(st, pp, biv)),
+    [depBeat, restBeat, st, pp, rest, biv]
+  );
+  // With a valve lesion, the septum in play or exercise the algebraic ESV
+  // no longer holds, nor where the beat cannot reach it — read the state
+  // off the beat
+  const pv = useMemo(
+    () =>
+      depBeat ||
+      !(exerting || biv || isLeaky(pp) || isStenotic(pp) || !onTarget(beat, st))
+        ? st
+        : beatState(beat, pp.alpha),
+    [depBeat, exerting, biv, pp, st, beat]
+  );
+  // Interdependent mode and exercise have no Ea input — it is derived from
+  // the Windkessel
+  const pm = useMemo(
+    () => ({
+      ...pp,
+      EDV: pv.EDV,
+      Ea: mode === "interdependent" || exerting ? pv.ESP / pv.SV : pp.Ea,
+    }),
+    [mode, exerting, pp, pv]
+  );
+  // While a quiz question is open only the LV loop is on show: the valve
+  // and RV readouts, the RV, LA and aortic traces and the Wiggers panel
+  // would name the answer
+  const asking = mode === "quiz" && !!quiz && !quiz.answer;
+  const loop = useMemo(() => makeLoop(beat, axes), [beat, axes]);
+  const rvL = useMemo(
+    () => (beat.rv && !asking ? makeRvLoop(beat, axes) : null),
+    [beat, axes, asking]
+  );
+  const laL = useMemo(
+    () => (showLA && !asking ? makeLaLoop(beat, axes) : null),
+    [showLA, beat, axes, asking]
+  );
+  const aoL = useMemo(
+    () => (narrowed(pp.avArea) && !asking ? makeAoTrace(beat, axes) : null),
+    [pp, beat, axes, asking]
+  );
+  const dataL = useMemo(
+    () => (data ? makeDataLoops(data, axes) : null),
+    [data, axes]
+  );
+  const cn = useMemo(() => beatCorners(beat), [beat]);
+  // Run the Wiggers cursor round the cycles on show
+  const wigSpan = cycles * beat.t.length * DT;
+  useEffect(() => {
+    if (!showWig || !wigRate) return;
+    let id,
+      last = performance.now();
+    const tick = (now) => {
+      const dt = Math.max(0, now - last) / 1000;
+      last = now;
+      setWigT((t) => (t + dt * wigRate) % wigSpan);
+      id = requestAnimationFrame(tick);
+    };
+    id = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(id);
+  }, [showWig, wigRate, wigSpan]);
+  const wigI = Math.min(
+    beat.t.length - 1,
+    Math.floor((wigT % (beat.t.length * DT)) / DT)
+  );
+
+  // Model inputs behind the beat on show
+  const beatP = useMemo(
+    () =>
+      mode === "interdependent"
+        ? coupledParams(base, sl)
+        : { ...lvParams(pp, biv), R: beat.load.R },
+    [mode, base, sl, pp, biv, beat]
+  );
+  // Vena caval occlusion from the current steady state
+  const occ = useMemo(() => {
+    if (!occl) return null;
+    const beats = occlusionRun(beatP, beat.end);
+    const fit = occlusionFit(beats);
+    return {
+      ...fit,
+      loops: beats.slice(1).map((b) => makeLoop(b, axes)),
+      lines: fitLines(fit, axes),
+    };
+  }, [occl, beatP, beat, axes]);
+  // The steady loop before the latest change, and the beats that lead from
+  // it to the loop on show. Blood volume added or removed by the change
+  // (a preload step) goes into the veins at once.
+  const settled = useRef(null);
+  const [origin, setOrigin] = useState(null);
+  useEffect(() => {
+    if (settled.current && settled.current.beat !== beat)
+      setOrigin(settled.current);
+    const id = setTimeout(() => {
+      settled.current = { beat, p: beatP };
+    }, SETTLE_MS);
+    return () => clearTimeout(id);
+  }, [beat]);
+  const tr = useMemo(() => {
+    if (!showTr || !origin || !origin.p.rv !== !beatP.rv) return null;
+    const dV =
+      bloodVolume(beat.end, beatP) - bloodVolume(origin.beat.end, beatP);
+    const beats = transientRun(origin.p, beatP, origin.beat.end, trN, dV);
+    return { beats, loops: beats.map((b) => makeLoop(b, axes)) };
+  }, [showTr, trN, origin, beat, beatP, axes]);
+  const nBeat = useMemo(() => fitLoop(normSt, pick(NORM)), []);
+  const nLoop = useMemo(() => makeLoop(nBeat, axes), [nBeat, axes]);
+  // Normal biventricular beat — reference for the RV readouts
+  const nBiv = useMemo(
+    () => (biv ? fitLoop(normSt, pick(NORM), true) : null),
+    [biv]
+  );
+  const lvp = lvParams(pm);
+  const en = energetics(beat, cn.es, lvp);
+  const nEn = useMemo(
+    () => energetics(nBeat, beatCorners(nBeat).es, lvParams(pick(NORM))),
+    [nBeat]
+  );
+  // The current state with a device running, from the same blood volume
+  // and load: the beats settle on the supported loop
+  const sup = useMemo(() => {
+    if (!device) return null;
+    const d = DEVICES.find((x) => x.key === device.key);
+    const b = steadyState(
+      { ...beatP, device: { type: d.key, [d.param]: device.value } },
+      beat.end,
+      60
+    );
+    return {
+      dev: d,
+      beat: b,
+      loop: makeLoop(b, axes),
+      en: energetics(b, beatCorners(b).es, lvParams(pm)),
+    };
+  }, [device, beatP, beat, pm, axes]);
+  const peL = showPVA
+    ? peOutline(beat, lvp)
+        .map(([v, p]) => `${vX(v, axes).toFixed(1)},${pY(p, axes).toFixed(1)}`)
+        .join(" ")
+    : null;
+  // Transition from whatever was drawn last to the new loop. A change of
+  // loop starts a new blend before the browser paints, so the new loop is
+  // never drawn ahead of it.
+  const shape = useMemo(
+    () => morphShape(beat, pm.Ees, pm.alpha, pm.V0),
+    [beat, pm.Ees, pm.alpha, pm.V0]
+  );
+  const nShape = useMemo(
+    () => morphShape(nBeat, NORM.Ees, NORM.alpha, V0),
+    [nBeat]
+  );
+  const speedMs = MORPH_SPEEDS.find((x) => x.key === speed).ms;
+  const [morph, setMorph] = useState({ from: null, to: shape, ms: 0, u: 1 });
+  const drawn = useRef(shape);
+  useLayoutEffect(() => {
+    if (morph.to === shape) return;
+    setMorph({
+      from: anim ? anim.from : speedMs ? drawn.current : null,
+      to: shape,
+      ms: anim ? ANIM_MS : speedMs,
+      u: 0,
+    });
+  }, [shape]);
+  useEffect(() => {
+    const { from, to, ms } = morph;
+    if (!from) return;
+    let id;
+    const t0 = performance.now();
+    const tick = (now) => {
+      const u = Math.min(1, Math.max(0, (now - t0) / ms));
+      setMorph((m) => (m.from === from && m.to === to ? { ...m, u } : m));
+      if (u < 1) id = requestAnimationFrame(tick);
+    };
+    id = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(id);
+  }, [morph.from, morph.to, morph.ms]);
+  const ease = (u) => u * u * (3 - 2 * u);
+  const morphing = !!morph.from && morph.u < 1;
+  const frame = morphing
+    ? blendShape(morph.from, morph.to, ease(morph.u))
+    : morph.to;
+  useLayoutEffect(() => {
+    drawn.current = frame;
+  });
+  // Ghosts of the loops passed so far: the start, then each TRAILS step
+  const trailL =
+    trails && morph.from
+      ? [0, ...TRAILS]
+          .filter((g) => g <= morph.u)
+          .map((g) =>
+            shapeLoop(blendShape(morph.from, morph.to, ease(g)), axes)
+          )
+      : [];
+  const replayFromNormal = () =>
+    setMorph({
+      from: nShape,
+      to: shape,
+      ms: speedMs || MORPH_SPEEDS[2].ms,
+      u: 0,
+    });
+
+  const espL = useMemo(
+    () => makeCurve("espvr", frame.Ees, axes, frame.V0),
+    [frame.Ees, frame.V0, axes]
+  );
+  const edpL = useMemo(
+    () => makeCurve("edpvr", frame.alpha, axes),
+    [frame.alpha, axes]
+  );
+  const nEspL = useMemo(() => makeCurve("espvr", NORM.Ees, axes), [axes]);
+  const nEdpL = useMemo(() => makeCurve("edpvr", NORM.alpha, axes), [axes]);
+  const snapL = useMemo(
+    () =>
+      snaps
+        .filter((x) => x.on)
+        .map((x) => ({
+          ...x,
+          loop: makeLoop(x.beat, axes),
+          esp: makeCurve("espvr", x.Ees, axes, x.V0),
+          edp: makeCurve("edpvr", x.alpha, axes),
+        })),
+    [snaps, axes]
+  );
+  // cf025 answer to the same slider move, drawn beside the cf026 loop.
+  // An R move maps to the same fractional Ea move; C and Zc have no cf025 twin.
+  const indepLoop = useMemo(() => {
+    if (mode !== "interdependent" || !sl._last) return null;
+    if (sl._last === "C" || sl._last === "Zc") return null;
+    const Ea = (base.Ea * sl.R) / base.beat.load.R;
+    const m = { ...sl, Ea, _last: sl._last === "R" ? "Ea" : sl._last };
+    return makeLoop(fitLoop(computeManual(m), m, base.biv), axes);
+  }, [mode, base, sl, axes]);
 
-  const loop = useMemo(
-    () => makeLoop(pv, pm.Ees, pm.alpha),
-    [pv, pm.Ees, pm.alpha]
+  // The scenario without its drugs (at the same effort), and at rest (with
+  // its drugs), left behind the loop on show
+  const rxBase = useMemo(
+    () =>
+      dosed ? sideLoop(exert(pick(sc), effort), biv, axes, pick(sc)) : null,
+    [dosed, sc, effort, biv, axes]
+  );
+  const restL = useMemo(
+    () => (exerting ? sideLoop(rest, biv, axes) : null),
+    [exerting, rest, biv, axes]
   );
-  const nLoop = useMemo(() => makeLoop(normSt, NORM.Ees, NORM.alpha), []);
-  const espL = useMemo(() => makeCurve("espvr", pm.Ees), [pm.Ees]);
-  const edpL = useMemo(() => makeCurve("edpvr", pm.alpha), [pm.alpha]);
-  const nEspL = useMemo(() => makeCurve("espvr", NORM.Ees), []);
-  const nEdpL = useMemo(() => makeCurve("edpvr", NORM.alpha), []);
 
-  const col = mode === "scenario" ? sc.color : "#58A6FF";
+  // A quiz loop stays neutral until answered
+  const col =
+    mode === "scenario"
+      ? sc.color
+      : mode === "quiz"
+        ? quiz?.answer
+          ? quizSc.color
+          : "#C9D1D9"
+        : "#58A6FF";
   const showRef = mode === "scenario" ? scKey !== "normal" : true;
   const steps = sc.steps;
   const nSteps = steps.length;
-  const hl = mode === "scenario" ? getHL(sc.highlight, pv) : null;
+  const stepNow = steps[step] || {};
+  const hl =
+    mode === "scenario"
+      ? getHL(
+          stepNow.highlight !== undefined ? stepNow.highlight : sc.highlight,
+          cn,
+          axes
+        )
+      : null;
+  const notes = mode === "scenario" ? stepNow.annotations : null;
 
-  const pickSc = useCallback((k) => {
-    setScKey(k);
-    setStep(0);
-    setMode("scenario");
-  }, []);
+  const pickSc = useCallback(
+    (k) => {
+      setScKey(k);
+      setStep(0);
+      if (catalog[k].biv) setBiv(true);
+      setMode("scenario");
+    },
+    [catalog]
+  );
 
   const slide = useCallback(
     (k, v) => {
       if (mode === "scenario") {
-        const snap = SC[scKey];
-        setSl({
-          Ees: snap.Ees,
-          EDV: snap.EDV,
-          Ea: snap.Ea,
-          alpha: snap.alpha,
-          _last: k,
-          [k]: v,
-        });
+        setSl({ ...pick(pp), _last: k, [k]: v });
       } else {
         setSl((prev) => ({
           ...prev,
@@ -548,27 +1998,539 @@ export default function PVLoop() {
           [k]: v,
         }));
       }
-      setMode("manual");
+      if (mode !== "interdependent") setMode("manual");
     },
-    [mode, scKey]
+    [mode, pp]
   );
 
-  const vTicks = [0, 50, 100, 150, 200];
-  const pTicks = [0, 50, 100, 150, 200];
+  // Leaving scenario mode snapshots the current parameters into the sliders;
+  // the interdependent mode also keeps them as its baseline.
+  const pickMode = useCallback(
+    (m) => {
+      if (m === mode) return;
+      setAnim(null);
+      if (m === "quiz") setQuiz(null);
+      else if (m === "predict") setEx(null);
+      else if (m !== "scenario") {
+        const snap = pick(pm);
+        if (m === "interdependent") {
+          const b = coupledBase(snap, biv);
+          setBase(b);
+          setSl({ ...snap, R: b.beat.load.R, C: WK.C, Zc: WK.Zc, _last: null });
+        } else setSl({ ...snap, _last: null });
+      }
+      setMode(m);
+    },
+    [mode, pm, biv]
+  );
 
-  const groups = [
-    { label: "Conditions", keys: ["normal", "hfref", "hfpef"] },
-    { label: "Valvular", keys: ["as", "ar", "ms", "mr"] },
-    { label: "Acute", keys: ["hemorrhage", "fluid", "inotrope"] },
-  ];
+  const nCn = useMemo(() => beatCorners(nBeat), [nBeat]);
+  const answerName = (k) => {
+    const score = k === quiz.key ? 1 : 0;
+    setQuiz({ ...quiz, answer: { pick: k, score } });
+    setQuizLog((l) => [
+      ...l,
+      { type: "name", label: quizSc.label, pick: catalog[k]?.label, score },
+    ]);
+  };
+  const answerCorners = () => {
+    const truth = cornerMoves(cn, nCn);
+    const score = gradeCorners(guess, truth);
+    setQuiz({ ...quiz, answer: { truth, score } });
+    setQuizLog((l) => [...l, { type: "corners", label: quizSc.label, score }]);
+  };
+  const quizTotal = quizLog.reduce((a, e) => a + e.score, 0);
+  const reveal = () => {
+    const start = pick(NORM);
+    const result = gradeExercise(
+      ex.pred,
+      computeManual({ ...start, _last: null }),
+      computeManual({ ...start, [ex.key]: ex.to, _last: ex.key })
+    );
+    setEx({ ...ex, result });
+    setExLog((l) => [
+      ...l,
+      { key: ex.key, from: ex.from, to: ex.to, score: result.score },
+    ]);
+    playMove();
+  };
+  const exTotal = exLog.reduce((a, e) => a + e.score, 0);
+  const exSlider = ex && SLIDERS.find((x) => x.key === ex.key);
+  const exVal = (v) => v.toFixed(exSlider.digits ?? 1);
+  const quizType = (opts) => {
+    setQuizOpts(opts);
+    nextQuestion(opts);
+  };
 
-  return (
-    <div
-      style={{
-        background: "#0D1117",
-        color: "#C9D1D9",
+  // Re-fit the interdependent baseline when the RV is switched in or out
+  const pickBiv = useCallback(
+    (on) => {
+      if (on === biv) return;
+      setBiv(on);
+      if (!on) setTarget("LV");
+      if (mode === "interdependent") {
+        const snap = pick(pm);
+        const b = coupledBase(snap, on);
+        setBase(b);
+        setSl({ ...snap, R: b.beat.load.R, C: WK.C, Zc: WK.Zc, _last: null });
+      }
+    },
+    [biv, mode, pm]
+  );
+
+  const fitRes = useMemo(
+    () => (showFit ? fitPatient(fitIn, fitChen) : null),
+    [showFit, fitIn, fitChen]
+  );
+  // Explore the fitted patient with the manual sliders
+  const loadFit = useCallback(() => {
+    setSl({ ...pick(fitRes.params), _last: null });
+    setMode("manual");
+  }, [fitRes]);
+
+  // Scenario editor. A new scenario starts from what is on screen.
+  const newScenario = () => {
+    setDraft({
+      ...pick(pm),
+      key: null,
+      label: "",
+      Ees: +pm.Ees.toFixed(2),
+      EDV: Math.round(pm.EDV),
+      Ea: +pm.Ea.toFixed(2),
+      alpha: +pm.alpha.toFixed(3),
+      biv,
+      color: "#D2A8FF",
+      highlight: null,
+      steps: [{ title: "", text: "" }],
+    });
+    setCustomErr(null);
+  };
+  const editScenario = () => {
+    const c = custom[scKey];
+    setDraft({ ...c, key: scKey, steps: c.steps.map((st) => ({ ...st })) });
+    setCustomErr(null);
+  };
+  const saveDraft = () => {
+    let next;
+    try {
+      next = normalizeScenario(draft, ["HR"]);
+    } catch (err) {
+      setCustomErr(err.message);
+      return;
+    }
+    const key = draft.key || scenarioKey(next.label, catalog);
+    setCustom((c) => ({ ...c, [key]: next }));
+    setDraft(null);
+    setCustomErr(null);
+    setScKey(key);
+    setStep(0);
+    if (next.biv) setBiv(true);
+    setMode("scenario");
+  };
+  const deleteDraft = () => {
+    setCustom(({ [draft.key]: _, ...rest }) => rest);
+    if (scKey === draft.key) {
+      setScKey("normal");
+      setStep(0);
+    }
+    setDraft(null);
+  };
+  const loadPackFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        setPack(parsePack(text, BUILTIN_KEYS));
+        savePack(text);
+        setPackErr(null);
+        setScKey("normal");
+        setStep(0);
+        setMode("scenario");
+      } catch (err) {
+        setPackErr(
+          (err.errors || [err.message]).map((m) => `${file.name} · ${m}`)
+        );
+      }
+    });
+  };
+  const unloadPack = () => {
+    setPack(null);
+    savePack(null);
+    setPackErr(null);
+    if (!(scKey in SC) && !(scKey in custom)) {
+      setScKey("normal");
+      setStep(0);
+    }
+  };
+
+  const importScenarios = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const added = importCustom(text, BUILTIN_KEYS);
+        setCustom((c) => ({ ...c, ...added }));
+        setCustomErr(null);
+      } catch (err) {
+        setCustomErr(`${file.name}: ${err.message}`);
+      }
+    });
+  };
+
+  const importCSV = useCallback((e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        setData({ name: file.name, ...loadPV(text) });
+        setDataErr(null);
+      } catch (err) {
+        setDataErr(`${file.name}: ${err.message}`);
+      }
+    });
+  }, []);
+
+  // Settings behind the current picture, embedded in every export. Manual
+  // and interdependent loops depend on which slider moved last.
+  const meta = {
+    app: "pv-loop-sim",
+    mode,
+    scenario: mode === "scenario" ? scKey : null,
+    step: mode === "scenario" ? step + 1 : null,
+    biv,
+    params: pp,
+    ...(dosed && { drugs: regimen(doses) }),
+    ...(exerting && { effort }),
+    ...(mode === "interdependent" && { R: sl.R, C: sl.C, Zc: sl.Zc }),
+    ...(mode !== "scenario" && { last: sl._last }),
+  };
+  const exportAs = (kind) => {
+    const name =
+      mode === "scenario"
+        ? `pv-loop-${scKey}-step${step + 1}`
+        : `pv-loop-${mode}`;
+    const metricsOut = {
+      EDV: pv.EDV,
+      ESV: pv.ESV,
+      ESP: pv.ESP,
+      SV: pv.SV,
+      EF: pv.EF,
+      LVEDP: pv.LVEDP,
+    };
+    setExportErr(null);
+    if (kind === "csv")
+      download(
+        name + ".csv",
+        loopCSV(loopSamples(beat), metricsOut, meta),
+        "text/csv"
+      );
+    else if (kind === "json")
+      download(
+        name + ".json",
+        loopJSON(loopSamples(beat), metricsOut, meta),
+        "application/json"
+      );
+    else {
+      const svg = svgDocument(svgRef.current, {
+        meta,
+        font: FONT,
+        background: "#0D1117",
+        width: W,
+        height: H,
+      });
+      if (kind === "svg") download(name + ".svg", svg, "image/svg+xml");
+      else
+        svgToPng(svg, { width: W, height: H, scale: pngScale, meta })
+          .then((blob) => download(`${name}@${pngScale}x.png`, blob))
+          .catch((err) => setExportErr(err.message));
+    }
+  };
+
+  const sliders =
+    target === "RV"
+      ? RV_SLIDERS
+      : mode === "interdependent"
+        ? WK_SLIDERS
+        : SLIDERS;
+
+  // Readout — Ea is always ESP/SV; R and C are the Windkessel behind it
+  const wk =
+    mode === "interdependent"
+      ? { R: sl.R, C: sl.C }
+      : { R: beat.load.R, C: WK.C };
+  const metrics = [
+    { label: "EDV", val: pv.EDV, ref: normSt.EDV, unit: "mL" },
+    { label: "ESV", val: pv.ESV, ref: normSt.ESV, unit: "mL" },
+    { label: "SV", val: pv.SV, ref: normSt.SV, unit: "mL" },
+    { label: "EF", val: pv.EF, ref: normSt.EF, unit: "%" },
+    { label: "ESP", val: pv.ESP, ref: normSt.ESP, unit: "mmHg" },
+    {
+      label: "LVEDP",
+      val: pv.LVEDP,
+      ref: normSt.LVEDP,
+      digits: 1,
+      unit: "mmHg",
+    },
+    {
+      label: "LAP",
+      val: beat.LAP,
+      ref: nBeat.LAP,
+      digits: 1,
+      unit: "mean mmHg",
+    },
+    {
+      label: "MV gradient",
+      val: beat.grad.mv.mean,
+      ref: nBeat.grad.mv.mean,
+      digits: 1,
+      tol: 0.3,
+      unit: `mean mmHg · peak ${beat.grad.mv.peak.toFixed(0)}`,
+    },
+    {
+      label: "Ea",
+      val: pv.ESP / pv.SV,
+      ref: normSt.ESP / normSt.SV,
+      digits: 2,
+      tol: 0.05,
+      unit: `R ${wk.R.toFixed(2)} · C ${wk.C.toFixed(1)}`,
+    },
+    {
+      label: "Aorta S/D",
+      text: `${Math.round(beat.ao.sys)}/${Math.round(beat.ao.dia)}`,
+      val: beat.ao.mean,
+      ref: nBeat.ao.mean,
+      unit: `mean ${Math.round(beat.ao.mean)} mmHg`,
+    },
+  ];
+
+  // Regurgitation — only the forward part of the stroke volume reaches the
+  // periphery; RF = regurgitant / total LV stroke volume
+  const leaky = isLeaky(pm);
+  const fwdSV = leaky ? beat.vol.fwd : pv.SV;
+  const RVol = beat.vol.mr + beat.vol.ar;
+  const leakCells = leaky
+    ? [
+        { label: "Fwd SV", val: fwdSV, ref: normSt.SV, unit: "mL" },
+        { label: "RVol", val: RVol, ref: 0, unit: "mL" },
+        {
+          label: "RF",
+          val: (100 * RVol) / (fwdSV + RVol),
+          ref: 0,
+          unit: "%",
+        },
+        {
+          label: "EROA",
+          val: pm.mrEROA + pm.arEROA,
+          ref: 0,
+          digits: 2,
+          tol: 0.01,
+          unit: `cm² ${pm.mrEROA > 0 ? "MR" : ""}${
+            pm.mrEROA > 0 && pm.arEROA > 0 ? " + " : ""
+          }${pm.arEROA > 0 ? "AR" : ""}`,
+        },
+      ]
+    : [];
+  // Stenosis — LV systolic pressure exceeds aortic by the orifice gradient
+  const stenosisCells = narrowed(pm.avArea)
+    ? [
+        {
+          label: "LV / Ao sys",
+          text: `${Math.round(cn.peak.P)}/${Math.round(beat.ao.sys)}`,
+          val: cn.peak.P,
+          ref: beatCorners(nBeat).peak.P,
+          unit: "mmHg",
+        },
+        {
+          label: "AV gradient",
+          text: `${Math.round(beat.grad.av.peak)}/${Math.round(
+            beat.grad.av.mean
+          )}`,
+          val: beat.grad.av.mean,
+          ref: nBeat.grad.av.mean,
+          unit: "peak/mean mmHg",
+        },
+        {
+          label: "AVA",
+          val: pm.avArea,
+          ref: VALVE_OPEN,
+          digits: 1,
+          tol: 0.05,
+          unit: "cm²",
+        },
+      ]
+    : [];
+  const valve = asking ? [] : [...leakCells, ...stenosisCells];
+
+  // Right heart — RV loop corners, filling pressure and PA pressure
+  const rvCells =
+    beat.rv && !asking
+      ? [
+          {
+            label: "RV EDV/ESV",
+            text: `${Math.round(beat.rv.EDV)}/${Math.round(beat.rv.ESV)}`,
+            val: beat.rv.EDV,
+            ref: nBiv.rv.EDV,
+            unit: "mL",
+          },
+          {
+            label: "RV EF",
+            val: (100 * (beat.rv.EDV - beat.rv.ESV)) / beat.rv.EDV,
+            ref: (100 * (nBiv.rv.EDV - nBiv.rv.ESV)) / nBiv.rv.EDV,
+            unit: "%",
+          },
+          {
+            label: "RVEDP",
+            val: beat.rv.EDP,
+            ref: nBiv.rv.EDP,
+            digits: 1,
+            unit: `mmHg · CVP ${beat.ven.mean.toFixed(1)}`,
+          },
+          {
+            label: "PA S/D",
+            text: `${Math.round(beat.pa.sys)}/${Math.round(beat.pa.dia)}`,
+            val: beat.pa.mean,
+            ref: nBiv.pa.mean,
+            unit: `mean ${Math.round(beat.pa.mean)} mmHg`,
+          },
+        ]
+      : [];
+
+  // Systemic hemodynamics — CO = forward SV × HR, SVR = 80 × (MAP − CVP)/CO
+  const bsa = Math.sqrt((body.h * body.w) / 3600); // Mosteller
+  const CO = (fwdSV * pm.HR) / 1000;
+  const nCO = (normSt.SV * NORM.HR) / 1000;
+  const SVR = (80 * (beat.ao.mean - beat.ven.mean)) / CO;
+  const nSVR = (80 * (nBeat.ao.mean - nBeat.ven.mean)) / nCO;
+  const hemo = [
+    { label: "HR", val: pm.HR, ref: NORM.HR, unit: "bpm" },
+    { label: "CO", val: CO, ref: nCO, digits: 1, tol: 0.1, unit: "L/min" },
+    {
+      label: "CI",
+      val: CO / bsa,
+      ref: nCO / bsa,
+      digits: 1,
+      tol: 0.1,
+      unit: `L/min/m² · BSA ${bsa.toFixed(2)}`,
+    },
+    { label: "SVR", val: SVR, ref: nSVR, tol: 50, unit: "dyn·s/cm⁵" },
+  ];
+
+  // Energetics — PVA = SW + PE, MVO2 from Suga's PVA–VO2 relation
+  const J = (x) => x * MMHG_ML_J;
+  const energy = [
+    {
+      label: "SW",
+      val: J(en.SW),
+      ref: J(nEn.SW),
+      digits: 2,
+      tol: 0.02,
+      unit: "J",
+    },
+    {
+      label: "PE",
+      val: J(en.PE),
+      ref: J(nEn.PE),
+      digits: 2,
+      tol: 0.02,
+      unit: "J",
+    },
+    {
+      label: "PVA",
+      val: J(en.PVA),
+      ref: J(nEn.PVA),
+      digits: 2,
+      tol: 0.02,
+      unit: "J",
+    },
+    {
+      label: "SW/PVA",
+      val: en.workEff * 100,
+      ref: nEn.workEff * 100,
+      unit: "%",
+    },
+    {
+      label: "MVO2",
+      val: en.MVO2,
+      ref: nEn.MVO2,
+      digits: 1,
+      tol: 0.2,
+      unit: "mL O₂/min",
+    },
+    {
+      label: "Efficiency",
+      val: en.efficiency * 100,
+      ref: nEn.efficiency * 100,
+      unit: "% SW/VO₂",
+    },
+  ];
+
+  const vTicks = axisTicks(axes.v);
+  const pTicks = axisTicks(axes.p);
+
+  const modes = [
+    { key: "scenario", label: "Scenario" },
+    { key: "manual", label: "Manual · cf025" },
+    { key: "interdependent", label: "Interdependent · cf026" },
+    { key: "predict", label: "Predict · cf025" },
+    { key: "quiz", label: "Quiz" },
+  ];
+
+  // SNAP_METRICS of the loop on show
+  const vals = {
+    EDV: pv.EDV,
+    ESV: pv.ESV,
+    SV: pv.SV,
+    EF: pv.EF,
+    ESP: pv.ESP,
+    LVEDP: pv.LVEDP,
+    Ees: pm.Ees,
+    Ea: pv.ESP / pv.SV,
+    HR: pm.HR,
+    CO,
+  };
+  // Pin the loop on show, named after the scenario step (and any drugs)
+  // or the mode
+  const pinSnap = () => {
+    const n = ++snapSeq.current;
+    const name =
+      mode === "scenario"
+        ? [
+            `${sc.label} · step ${step + 1}`,
+            dosed && regimen(doses),
+            exerting && `${effort}% effort`,
+          ]
+            .filter(Boolean)
+            .join(" + ")
+        : `${modes.find((m) => m.key === mode).label.split(" · ")[0]} ${n}`;
+    setSnaps((xs) => [
+      ...xs,
+      {
+        id: n,
+        name,
+        color: SNAP_COLORS[(n - 1) % SNAP_COLORS.length],
+        on: true,
+        beat,
+        Ees: pm.Ees,
+        alpha: pm.alpha,
+        V0: pm.V0,
+        vals,
+      },
+    ]);
+  };
+  const shownSnaps = snaps.filter((x) => x.on);
+  const editSnap = (id, patch) =>
+    setSnaps((xs) => xs.map((x) => (x.id === id ? { ...x, ...patch } : x)));
+
+  return (
+    <div
+      style={{
+        background: "#0D1117",
+        color: "#C9D1D9",
         minHeight: "100vh",
-        fontFamily: "'JetBrains Mono','SF Mono','Fira Code',monospace",
+        fontFamily: FONT,
         padding: "8px 8px 20px",
       }}
     >
@@ -600,56 +2562,187 @@ export default function PVLoop() {
           }}
         >
           {groups.map((g) => (
-            <div
-              key={g.label}
-              style={{
-                display: "flex",
-                alignItems: "center",
-                gap: 4,
-                flexWrap: "wrap",
-              }}
-            >
-              <span
-                style={{
-                  fontSize: 8,
-                  color: "#484F58",
-                  width: 62,
-                  textAlign: "right",
-                  flexShrink: 0,
-                  textTransform: "uppercase",
-                  letterSpacing: 0.5,
-                }}
-              >
-                {g.label}
-              </span>
+            <div key={g.label} style={ROW}>
+              <PanelLabel>{g.label}</PanelLabel>
               {g.keys.map((k) => {
-                const s = SC[k];
+                const s = catalog[k];
                 const on = scKey === k && mode === "scenario";
                 return (
                   <button
                     key={k}
                     onClick={() => pickSc(k)}
-                    style={{
-                      padding: "3px 9px",
-                      fontSize: 10,
-                      fontWeight: on ? 700 : 400,
-                      background: on ? s.color + "20" : "transparent",
-                      color: on ? s.color : "#6E7681",
-                      border: `1px solid ${on ? s.color + "55" : "#21262D"}`,
-                      borderRadius: 3,
-                      cursor: "pointer",
-                      fontFamily: "inherit",
-                      transition: "all 0.15s",
-                    }}
+                    style={choice(on, s.color)}
                   >
                     {s.label}
                   </button>
                 );
               })}
+              {g.custom && (
+                <>
+                  <button onClick={newScenario} style={DASHED}>
+                    + New
+                  </button>
+                  {custom[scKey] && mode === "scenario" && (
+                    <button onClick={editScenario} style={DASHED}>
+                      Edit
+                    </button>
+                  )}
+                  <label style={DASHED}>
+                    Import
+                    <input
+                      type="file"
+                      accept=".json,application/json"
+                      onChange={importScenarios}
+                      style={{ display: "none" }}
+                    />
+                  </label>
+                  {g.keys.length > 0 && (
+                    <button
+                      onClick={() =>
+                        download(
+                          "pv-loop-scenarios.json",
+                          exportCustom(custom),
+                          "application/json"
+                        )
+                      }
+                      style={DASHED}
+                    >
+                      Export
+                    </button>
+                  )}
+                </>
+              )}
             </div>
           ))}
+          {customErr && !draft && (
+            <div style={{ fontSize: 9, color: "#F85149", paddingLeft: 66 }}>
+              {customErr}
+            </div>
+          )}
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 4,
+              flexWrap: "wrap",
+              fontSize: 9,
+              color: "#6E7681",
+            }}
+          >
+            <PanelLabel>Pack</PanelLabel>
+            {packWait
+              ? "loading…"
+              : pack
+                ? `${pack.name} · ${pack.mode === "replace" ? "replaces" : "adds to"} the built-in scenarios`
+                : "built-in scenarios"}
+            <label style={{ ...DASHED, padding: "1px 7px", fontSize: 9 }}>
+              Load pack
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={loadPackFile}
+                style={{ display: "none" }}
+              />
+            </label>
+            {pack && (
+              <button
+                onClick={unloadPack}
+                style={{ ...DASHED, padding: "1px 7px", fontSize: 9 }}
+              >
+                Unload
+              </button>
+            )}
+          </div>
+          {packErr && (
+            <div style={{ fontSize: 9, color: "#F85149", paddingLeft: 66 }}>
+              {packErr.slice(0, 8).map((m) => (
+                <div key={m}>{m}</div>
+              ))}
+              {packErr.length > 8 && <div>… and {packErr.length - 8} more</div>}
+            </div>
+          )}
+          <div style={ROW}>
+            <PanelLabel>Mode</PanelLabel>
+            {modes.map((m) => {
+              const on = mode === m.key;
+              return (
+                <button
+                  key={m.key}
+                  onClick={() => pickMode(m.key)}
+                  style={choice(on, col)}
+                >
+                  {m.label}
+                </button>
+              );
+            })}
+          </div>
+          {!asking && (
+            <div style={ROW}>
+              <PanelLabel>Heart</PanelLabel>
+              {[
+                {
+                  key: "lv",
+                  label: "LV",
+                  on: !biv,
+                  pick: () => pickBiv(false),
+                },
+                {
+                  key: "biv",
+                  label: "LV + RV",
+                  on: biv,
+                  pick: () => pickBiv(true),
+                },
+                ...(biv
+                  ? ["LV", "RV"].map((v) => ({
+                      key: v,
+                      label: `Sliders → ${v}`,
+                      on: target === v,
+                      pick: () => setTarget(v),
+                    }))
+                  : []),
+              ].map((b) => (
+                <button key={b.key} onClick={b.pick} style={choice(b.on, col)}>
+                  {b.label}
+                </button>
+              ))}
+            </div>
+          )}
+          <div style={ROW}>
+            <PanelLabel>Morph</PanelLabel>
+            {[
+              ...MORPH_SPEEDS.map((x) => ({
+                key: x.key,
+                label: x.label,
+                on: speed === x.key,
+                pick: () => setSpeed(x.key),
+              })),
+              {
+                key: "trails",
+                label: "Trails",
+                on: trails,
+                pick: () => setTrails((v) => !v),
+              },
+            ].map((b) => (
+              <button key={b.key} onClick={b.pick} style={choice(b.on, col)}>
+                {b.label}
+              </button>
+            ))}
+          </div>
         </div>
 
+        {/* Scenario editor */}
+        {draft && (
+          <ScenarioEditor
+            draft={draft}
+            onChange={setDraft}
+            error={customErr}
+            defaults={PARAM_DEFAULTS}
+            onSave={saveDraft}
+            onCancel={() => setDraft(null)}
+            onDelete={deleteDraft}
+          />
+        )}
+
         {/* SVG */}
         <div
           style={{
@@ -661,15 +2754,16 @@ export default function PVLoop() {
           }}
         >
           <svg
+            ref={svgRef}
             viewBox={`0 0 ${W} ${H}`}
             style={{ width: "100%", height: "auto", display: "block" }}
           >
             {vTicks.map((v) => (
               <line
                 key={`vg${v}`}
-                x1={vX(v)}
+                x1={vX(v, axes)}
                 y1={PD.t}
-                x2={vX(v)}
+                x2={vX(v, axes)}
                 y2={PD.t + GH}
                 stroke="#161B22"
                 strokeWidth={1}
@@ -679,9 +2773,9 @@ export default function PVLoop() {
               <line
                 key={`pg${p}`}
                 x1={PD.l}
-                y1={pY(p)}
+                y1={pY(p, axes)}
                 x2={PD.l + GW}
-                y2={pY(p)}
+                y2={pY(p, axes)}
                 stroke="#161B22"
                 strokeWidth={1}
               />
@@ -705,7 +2799,7 @@ export default function PVLoop() {
             {vTicks.map((v) => (
               <text
                 key={`vl${v}`}
-                x={vX(v)}
+                x={vX(v, axes)}
                 y={PD.t + GH + 16}
                 textAnchor="middle"
                 fill="#484F58"
@@ -719,7 +2813,7 @@ export default function PVLoop() {
               <text
                 key={`pl${p}`}
                 x={PD.l - 8}
-                y={pY(p) + 4}
+                y={pY(p, axes) + 4}
                 textAnchor="end"
                 fill="#484F58"
                 fontSize={10}
@@ -779,8 +2873,8 @@ export default function PVLoop() {
                   opacity={0.55}
                 />
                 <text
-                  x={vX(normSt.EDV) + 5}
-                  y={pY(normSt.ESP) + 14}
+                  x={vX(normSt.EDV, axes) + 5}
+                  y={pY(normSt.ESP, axes) + 14}
                   fill="#8B949E"
                   fontSize={10}
                   fontFamily="inherit"
@@ -792,6 +2886,71 @@ export default function PVLoop() {
               </>
             )}
 
+            {/* Pinned snapshots */}
+            {snapL.map((x) => (
+              <g key={x.id}>
+                <polyline
+                  points={x.esp}
+                  fill="none"
+                  stroke={x.color}
+                  strokeWidth={1}
+                  strokeDasharray="2,3"
+                  opacity={0.5}
+                />
+                <polyline
+                  points={x.edp}
+                  fill="none"
+                  stroke={x.color}
+                  strokeWidth={1}
+                  strokeDasharray="2,3"
+                  opacity={0.5}
+                />
+                <polygon
+                  points={x.loop}
+                  fill={x.color}
+                  fillOpacity={0.04}
+                  stroke={x.color}
+                  strokeWidth={1.6}
+                  strokeDasharray="6,2"
+                  opacity={0.85}
+                />
+              </g>
+            ))}
+
+            {/* Resting loop behind the exercise */}
+            {restL && (
+              <polygon
+                points={restL.loop}
+                fill="none"
+                stroke="#6E7681"
+                strokeWidth={1.6}
+                strokeDasharray="6,2"
+                opacity={0.85}
+              />
+            )}
+
+            {/* Untreated loop behind the drugs */}
+            {rxBase && (
+              <g>
+                <polyline
+                  points={rxBase.esp}
+                  fill="none"
+                  stroke="#8B949E"
+                  strokeWidth={1}
+                  strokeDasharray="2,3"
+                  opacity={0.5}
+                />
+                <polygon
+                  points={rxBase.loop}
+                  fill="none"
+                  stroke="#8B949E"
+                  strokeWidth={1.6}
+                  strokeDasharray="6,2"
+                  opacity={0.85}
+                />
+              </g>
+            )}
+
             {/* Active ESPVR & EDPVR */}
             <polyline
               points={espL}
@@ -810,75 +2969,232 @@ export default function PVLoop() {
               strokeDasharray="6,3"
             />
 
-            {/* Curve labels */}
-            {(() => {
-              const lv = V0 + Math.min(90 / pm.Ees, 45),
-                lp = espvr(lv, pm.Ees);
-              return lp > 10 && lp < PMAX - 20 ? (
+            {!morphing && (
+              <>
+                {/* Curve labels */}
+                {(() => {
+                  const lv = pm.V0 + Math.min(90 / pm.Ees, 45),
+                    lp = espvr(lv, pm.Ees, pm.V0);
+                  return lp > 10 && lp < axes.p - 20 ? (
+                    <text
+                      x={vX(lv, axes) + 3}
+                      y={pY(lp, axes) - 5}
+                      fill={col}
+                      fontSize={9}
+                      opacity={0.6}
+                      fontFamily="inherit"
+                      fontWeight={600}
+                    >
+                      ESPVR
+                    </text>
+                  ) : null;
+                })()}
+                {(() => {
+                  let v2 = 170,
+                    p2 = edpvr(v2, pm.alpha);
+                  if (p2 > 50) {
+                    v2 = 140;
+                    p2 = edpvr(v2, pm.alpha);
+                  }
+                  if (p2 > 50) {
+                    v2 = 110;
+                    p2 = edpvr(v2, pm.alpha);
+                  }
+                  return p2 > 1 && p2 < 60 ? (
+                    <text
+                      x={vX(v2, axes) + 3}
+                      y={pY(p2, axes) - 5}
+                      fill={col}
+                      fontSize={9}
+                      opacity={0.6}
+                      fontFamily="inherit"
+                      fontWeight={600}
+                    >
+                      EDPVR
+                    </text>
+                  ) : null;
+                })()}
+
+                {/* Ea line */}
+                <line
+                  x1={vX(pv.EDV, axes)}
+                  y1={pY(0, axes)}
+                  x2={vX(pv.ESV, axes)}
+                  y2={pY(pv.ESP, axes)}
+                  stroke="#E3B341"
+                  strokeWidth={1.2}
+                  strokeDasharray="3,3"
+                  opacity={0.5}
+                />
                 <text
-                  x={vX(lv) + 3}
-                  y={pY(lp) - 5}
-                  fill={col}
+                  x={vX(pv.EDV, axes) + 4}
+                  y={pY(2, axes)}
+                  fill="#E3B341"
+                  fontSize={8}
+                  opacity={0.55}
+                  fontFamily="inherit"
+                >
+                  Ea
+                </text>
+              </>
+            )}
+
+            {/* PVA shading: loop = SW, wedge left of it = PE */}
+            {peL && !morphing && (
+              <>
+                <polygon
+                  points={peL}
+                  fill="#E3B341"
+                  fillOpacity={0.14}
+                  stroke="#E3B341"
+                  strokeWidth={0.8}
+                  strokeOpacity={0.4}
+                />
+                <text
+                  x={vX((pm.V0 + cn.es.V) / 2, axes) + 4}
+                  y={pY(cn.es.P / 4, axes)}
+                  fill="#E3B341"
                   fontSize={9}
-                  opacity={0.6}
+                  textAnchor="middle"
                   fontFamily="inherit"
                   fontWeight={600}
+                  opacity={0.8}
                 >
-                  ESPVR
+                  PE
                 </text>
-              ) : null;
-            })()}
-            {(() => {
-              let v2 = 170,
-                p2 = edpvr(v2, pm.alpha);
-              if (p2 > 50) {
-                v2 = 140;
-                p2 = edpvr(v2, pm.alpha);
-              }
-              if (p2 > 50) {
-                v2 = 110;
-                p2 = edpvr(v2, pm.alpha);
-              }
-              return p2 > 1 && p2 < 60 ? (
                 <text
-                  x={vX(v2) + 3}
-                  y={pY(p2) - 5}
+                  x={vX((cn.ed.V + cn.es.V) / 2, axes)}
+                  y={pY((cn.es.P + cn.ed.P) / 2, axes)}
                   fill={col}
                   fontSize={9}
-                  opacity={0.6}
+                  textAnchor="middle"
                   fontFamily="inherit"
                   fontWeight={600}
+                  opacity={0.8}
                 >
-                  EDPVR
+                  SW
                 </text>
-              ) : null;
-            })()}
+              </>
+            )}
 
-            {/* Ea line */}
-            <line
-              x1={vX(pv.EDV)}
-              y1={pY(0)}
-              x2={vX(pv.ESV)}
-              y2={pY(pv.ESP)}
-              stroke="#E3B341"
-              strokeWidth={1.2}
-              strokeDasharray="3,3"
-              opacity={0.5}
-            />
-            <text
-              x={vX(pv.EDV) + 4}
-              y={pY(2)}
-              fill="#E3B341"
-              fontSize={8}
-              opacity={0.55}
-              fontFamily="inherit"
-            >
-              Ea
-            </text>
+            {/* cf025 counterpart in interdependent mode */}
+            {indepLoop && (
+              <polygon
+                points={indepLoop}
+                fill="none"
+                stroke="#E6EDF3"
+                strokeWidth={1.2}
+                strokeDasharray="2,3"
+                opacity={0.45}
+              />
+            )}
+
+            {/* Occlusion: shrinking loops, their corners and the fits */}
+            {occ && (
+              <>
+                {occ.loops.map((pts, i) => (
+                  <polygon
+                    key={i}
+                    points={pts}
+                    fill="none"
+                    stroke={col}
+                    strokeWidth={0.8}
+                    opacity={0.55 - i * 0.035}
+                  />
+                ))}
+                <line
+                  {...occ.lines.es}
+                  stroke="#FFA657"
+                  strokeWidth={1.2}
+                  opacity={0.9}
+                />
+                <polyline
+                  points={occ.lines.ed}
+                  fill="none"
+                  stroke="#FFA657"
+                  strokeWidth={1.2}
+                  strokeDasharray="3,2"
+                  opacity={0.9}
+                />
+                {occ.es.map((q, i) => (
+                  <circle
+                    key={"es" + i}
+                    cx={vX(q.V, axes)}
+                    cy={pY(q.P, axes)}
+                    r={2.2}
+                    fill="#FFA657"
+                  />
+                ))}
+                {occ.ed.map((q, i) => (
+                  <circle
+                    key={"ed" + i}
+                    cx={vX(q.V, axes)}
+                    cy={pY(q.P, axes)}
+                    r={2}
+                    fill="none"
+                    stroke="#FFA657"
+                  />
+                ))}
+              </>
+            )}
+
+            {/* Transient: the loop before the change (dashed), then each
+                beat after it, fading with age */}
+            {tr &&
+              tr.loops.map((pts, i) => (
+                <polygon
+                  key={i}
+                  points={pts}
+                  fill="none"
+                  stroke={i ? col : "#E3B341"}
+                  strokeWidth={1}
+                  strokeDasharray={i ? undefined : "3,2"}
+                  opacity={i ? 0.12 + (0.6 * i) / (tr.loops.length - 1) : 0.7}
+                />
+              ))}
+
+            {/* Imported measured beats with their ED (open) / ES (filled) points */}
+            {dataL &&
+              dataL.map((b, i) => (
+                <g key={"d" + i}>
+                  <polyline
+                    points={b.pts}
+                    fill="none"
+                    stroke="#D2A8FF"
+                    strokeWidth={1}
+                    opacity={0.7}
+                  />
+                  <circle
+                    cx={vX(b.ed.V, axes)}
+                    cy={pY(b.ed.P, axes)}
+                    r={2.4}
+                    fill="none"
+                    stroke="#D2A8FF"
+                  />
+                  <circle
+                    cx={vX(b.es.V, axes)}
+                    cy={pY(b.es.P, axes)}
+                    r={2.4}
+                    fill="#D2A8FF"
+                  />
+                </g>
+              ))}
+
+            {/* Ghost trail of the last transition */}
+            {trailL.map((pts, i) => (
+              <polygon
+                key={i}
+                points={pts}
+                fill="none"
+                stroke={col}
+                strokeWidth={1}
+                opacity={0.12 + (0.25 * i) / TRAILS.length}
+              />
+            ))}
 
             {/* PV loop */}
             <polygon
-              points={loop}
+              points={morphing ? shapeLoop(frame, axes) : loop}
               fill={col}
               fillOpacity={0.1}
               stroke={col}
@@ -886,145 +3202,364 @@ export default function PVLoop() {
               strokeLinejoin="round"
             />
 
-            {/* Corner dots */}
-            <circle
-              cx={vX(pv.EDV)}
-              cy={pY(pv.LVEDP)}
-              r={3}
-              fill={col}
-              opacity={0.7}
-            />
-            <circle
-              cx={vX(pv.ESV)}
-              cy={pY(pv.ESP)}
-              r={3}
-              fill={col}
-              opacity={0.7}
-            />
-            <circle
-              cx={vX(pv.EDV)}
-              cy={pY(pv.ESP)}
-              r={3}
-              fill={col}
-              opacity={0.4}
-            />
-            <circle
-              cx={vX(pv.ESV)}
-              cy={pY(pv.esvP0)}
-              r={3}
-              fill={col}
-              opacity={0.4}
-            />
-
-            {/* Phase labels */}
-            <text
-              x={vX(pv.EDV) + 7}
-              y={pY((pv.LVEDP + pv.ESP) / 2)}
-              fill="#6E7681"
-              fontSize={9}
-              fontFamily="inherit"
-              fontWeight={600}
-            >
-              b
-            </text>
-            <text
-              x={vX((pv.EDV + pv.ESV) / 2)}
-              y={pY(pv.ESP) - 7}
-              fill="#6E7681"
-              fontSize={9}
-              textAnchor="middle"
-              fontFamily="inherit"
-              fontWeight={600}
-            >
-              c
-            </text>
-            <text
-              x={vX(pv.ESV) - 8}
-              y={pY((pv.ESP + pv.esvP0) / 2)}
-              fill="#6E7681"
-              fontSize={9}
-              textAnchor="end"
-              fontFamily="inherit"
-              fontWeight={600}
-            >
-              d
-            </text>
-            <text
-              x={vX((pv.EDV + pv.ESV) / 2)}
-              y={pY(edpvr((pv.EDV + pv.ESV) / 2, pm.alpha)) + 15}
-              fill="#6E7681"
-              fontSize={9}
-              textAnchor="middle"
-              fontFamily="inherit"
-              fontWeight={600}
-            >
-              a
-            </text>
-
-            {/* SV bracket */}
-            <line
-              x1={vX(pv.ESV)}
-              y1={pY(-8)}
-              x2={vX(pv.EDV)}
-              y2={pY(-8)}
-              stroke={col}
-              strokeWidth={1}
-              opacity={0.5}
-            />
-            <text
-              x={vX((pv.ESV + pv.EDV) / 2)}
-              y={pY(-16)}
-              fill={col}
-              fontSize={9}
-              textAnchor="middle"
-              fontFamily="inherit"
-              opacity={0.65}
-            >
-              SV = {Math.round(pv.SV)} mL
-            </text>
-
-            {/* Yellow highlight */}
-            {hl && (
+            {/* RV loop */}
+            {rvL && (
               <>
-                <circle
-                  cx={hl.cx}
-                  cy={hl.cy}
-                  r={14}
-                  fill="none"
-                  stroke="#E3B341"
-                  strokeWidth={2.5}
-                  opacity={0.85}
-                >
-                  <animate
-                    attributeName="r"
-                    values="12;16;12"
-                    dur="2s"
-                    repeatCount="indefinite"
-                  />
-                  <animate
-                    attributeName="opacity"
-                    values="0.9;0.4;0.9"
-                    dur="2s"
-                    repeatCount="indefinite"
-                  />
-                </circle>
+                <polygon
+                  points={rvL}
+                  fill="#DB61A2"
+                  fillOpacity={0.08}
+                  stroke="#DB61A2"
+                  strokeWidth={1.6}
+                  strokeLinejoin="round"
+                />
                 <text
-                  x={hl.cx}
-                  y={hl.cy - 20}
-                  fill="#E3B341"
+                  x={vX(beat.rv.EDV, axes) + 4}
+                  y={pY(beat.rv.ESP, axes) - 4}
+                  fill="#DB61A2"
                   fontSize={8}
-                  textAnchor="middle"
                   fontFamily="inherit"
                   fontWeight={600}
                 >
-                  {hl.label}
+                  RV
                 </text>
               </>
             )}
-          </svg>
-          <div
-            style={{
-              position: "absolute",
+
+            {/* LA loop */}
+            {laL && (
+              <>
+                <polygon
+                  points={laL}
+                  fill="#79C0FF"
+                  fillOpacity={0.08}
+                  stroke="#79C0FF"
+                  strokeWidth={1.2}
+                  strokeLinejoin="round"
+                  opacity={0.8}
+                />
+                <text
+                  x={vX(Math.max(...beat.Vla), axes) + 4}
+                  y={pY(Math.max(...beat.Pla), axes) - 4}
+                  fill="#79C0FF"
+                  fontSize={8}
+                  fontFamily="inherit"
+                  opacity={0.8}
+                >
+                  LA
+                </text>
+              </>
+            )}
+
+            {/* Aortic pressure over ejection (stenotic valve) */}
+            {aoL && (
+              <>
+                <polyline
+                  points={aoL}
+                  fill="none"
+                  stroke="#E6EDF3"
+                  strokeWidth={1.4}
+                  strokeDasharray="5,3"
+                  opacity={0.85}
+                />
+                <text
+                  x={vX(cn.avo.V, axes) + 6}
+                  y={pY(beat.Pao[beat.ev.avo], axes) + 12}
+                  fill="#E6EDF3"
+                  fontSize={8}
+                  fontFamily="inherit"
+                  opacity={0.85}
+                >
+                  Ao
+                </text>
+              </>
+            )}
+
+            {/* Corners, phases and the SV bracket settle once a transition ends */}
+            {!morphing && (
+              <>
+                {/* Corner dots */}
+                <circle
+                  cx={vX(cn.ed.V, axes)}
+                  cy={pY(cn.ed.P, axes)}
+                  r={3}
+                  fill={col}
+                  opacity={0.7}
+                />
+                <circle
+                  cx={vX(cn.es.V, axes)}
+                  cy={pY(cn.es.P, axes)}
+                  r={3}
+                  fill={col}
+                  opacity={0.7}
+                />
+                <circle
+                  cx={vX(cn.avo.V, axes)}
+                  cy={pY(cn.avo.P, axes)}
+                  r={3}
+                  fill={col}
+                  opacity={0.4}
+                />
+                <circle
+                  cx={vX(cn.mvo.V, axes)}
+                  cy={pY(cn.mvo.P, axes)}
+                  r={3}
+                  fill={col}
+                  opacity={0.4}
+                />
+
+                {/* Phase labels */}
+                <text
+                  x={vX(cn.ed.V, axes) + 7}
+                  y={pY((cn.ed.P + cn.avo.P) / 2, axes)}
+                  fill="#6E7681"
+                  fontSize={9}
+                  fontFamily="inherit"
+                  fontWeight={600}
+                >
+                  b
+                </text>
+                <text
+                  x={vX(cn.peak.V, axes)}
+                  y={pY(cn.peak.P, axes) - 7}
+                  fill="#6E7681"
+                  fontSize={9}
+                  textAnchor="middle"
+                  fontFamily="inherit"
+                  fontWeight={600}
+                >
+                  c
+                </text>
+                <text
+                  x={vX(cn.es.V, axes) - 8}
+                  y={pY((cn.es.P + cn.mvo.P) / 2, axes)}
+                  fill="#6E7681"
+                  fontSize={9}
+                  textAnchor="end"
+                  fontFamily="inherit"
+                  fontWeight={600}
+                >
+                  d
+                </text>
+                <text
+                  x={vX((pv.EDV + pv.ESV) / 2, axes)}
+                  y={pY(edpvr((pv.EDV + pv.ESV) / 2, pm.alpha), axes) + 15}
+                  fill="#6E7681"
+                  fontSize={9}
+                  textAnchor="middle"
+                  fontFamily="inherit"
+                  fontWeight={600}
+                >
+                  a
+                </text>
+
+                {/* SV bracket */}
+                <line
+                  x1={vX(pv.ESV, axes)}
+                  y1={pY(-8, axes)}
+                  x2={vX(pv.EDV, axes)}
+                  y2={pY(-8, axes)}
+                  stroke={col}
+                  strokeWidth={1}
+                  opacity={0.5}
+                />
+                <text
+                  x={vX((pv.ESV + pv.EDV) / 2, axes)}
+                  y={pY(-16, axes)}
+                  fill={col}
+                  fontSize={9}
+                  textAnchor="middle"
+                  fontFamily="inherit"
+                  opacity={0.65}
+                >
+                  SV = {Math.round(pv.SV)} mL
+                </text>
+
+                {/* Yellow highlight */}
+                {hl && (
+                  <>
+                    <circle
+                      cx={hl.cx}
+                      cy={hl.cy}
+                      r={14}
+                      fill="none"
+                      stroke="#E3B341"
+                      strokeWidth={2.5}
+                      opacity={0.85}
+                    >
+                      <animate
+                        attributeName="r"
+                        values="12;16;12"
+                        dur="2s"
+                        repeatCount="indefinite"
+                      />
+                      <animate
+                        attributeName="opacity"
+                        values="0.9;0.4;0.9"
+                        dur="2s"
+                        repeatCount="indefinite"
+                      />
+                    </circle>
+                    <text
+                      x={hl.cx}
+                      y={hl.cy - 20}
+                      fill="#E3B341"
+                      fontSize={8}
+                      textAnchor="middle"
+                      fontFamily="inherit"
+                      fontWeight={600}
+                    >
+                      {hl.label}
+                    </text>
+                  </>
+                )}
+              </>
+            )}
+
+            {/* Step annotations from a scenario pack */}
+            {notes &&
+              notes.map((n, i) => (
+                <g key={"n" + i}>
+                  <circle
+                    cx={vX(n.V, axes)}
+                    cy={pY(n.P, axes)}
+                    r={3}
+                    fill="#E3B341"
+                  />
+                  <text
+                    x={vX(n.V, axes) + 6}
+                    y={pY(n.P, axes) - 6}
+                    fill="#E3B341"
+                    fontSize={8}
+                    fontFamily="inherit"
+                  >
+                    {n.text}
+                  </text>
+                </g>
+              ))}
+
+            {/* Valve events and the Wiggers cursor on the loop */}
+            {showWig && !asking && !morphing && (
+              <>
+                {VALVES.map(({ key, label }) => {
+                  const i = valveEvents(beat)[key];
+                  if (i < 0) return null;
+                  const right = key === "mc" || key === "ao";
+                  return (
+                    <text
+                      key={key}
+                      x={vX(beat.V[i], axes) + (right ? 8 : -8)}
+                      y={
+                        pY(beat.P[i], axes) +
+                        (key === "mc" || key === "mo" ? 12 : -6)
+                      }
+                      textAnchor={right ? "start" : "end"}
+                      fill="#8B949E"
+                      fontSize={8}
+                      fontFamily="inherit"
+                    >
+                      {label}
+                    </text>
+                  );
+                })}
+                <circle
+                  cx={vX(beat.V[wigI], axes)}
+                  cy={pY(beat.P[wigI], axes)}
+                  r={4.5}
+                  fill="#E6EDF3"
+                  stroke={col}
+                  strokeWidth={1.5}
+                />
+              </>
+            )}
+
+            {/* Supported loop */}
+            {sup && (
+              <polygon
+                points={sup.loop}
+                fill={sup.dev.color}
+                fillOpacity={0.06}
+                stroke={sup.dev.color}
+                strokeWidth={2}
+              />
+            )}
+
+            {/* Legend: the loop on show, resting, untreated, supported and
+                pinned loops */}
+            {(snapL.length > 0 || restL || rxBase || sup) && (
+              <g>
+                <rect
+                  x={PD.l + 6}
+                  y={PD.t + 4}
+                  width={150}
+                  height={
+                    14 +
+                    12 *
+                      (snapL.length +
+                        (restL ? 1 : 0) +
+                        (rxBase ? 1 : 0) +
+                        (sup ? 1 : 0))
+                  }
+                  fill="#0D1117"
+                  fillOpacity={0.85}
+                  stroke="#21262D"
+                  rx={3}
+                />
+                {[
+                  {
+                    id: "now",
+                    name: rxBase
+                      ? "With drugs"
+                      : restL
+                        ? `${effort}% effort`
+                        : "Current",
+                    color: col,
+                  },
+                  ...(restL
+                    ? [{ id: "rest", name: "At rest", color: "#6E7681" }]
+                    : []),
+                  ...(rxBase
+                    ? [{ id: "rx", name: "Before drugs", color: "#8B949E" }]
+                    : []),
+                  ...(sup
+                    ? [
+                        {
+                          id: "sup",
+                          name: `${sup.dev.label} ${sup.dev.fmt(device.value)}`,
+                          color: sup.dev.color,
+                          solid: true,
+                        },
+                      ]
+                    : []),
+                  ...snapL,
+                ].map((x, i) => (
+                  <g key={x.id}>
+                    <line
+                      x1={PD.l + 12}
+                      y1={PD.t + 14 + 12 * i}
+                      x2={PD.l + 26}
+                      y2={PD.t + 14 + 12 * i}
+                      stroke={x.color}
+                      strokeWidth={2}
+                      strokeDasharray={i && !x.solid ? "6,2" : undefined}
+                    />
+                    <text
+                      x={PD.l + 31}
+                      y={PD.t + 17 + 12 * i}
+                      fill="#C9D1D9"
+                      fontSize={9}
+                      fontFamily="inherit"
+                    >
+                      {x.name.length > 20 ? x.name.slice(0, 19) + "…" : x.name}
+                    </text>
+                  </g>
+                ))}
+              </g>
+            )}
+          </svg>
+          <div
+            style={{
+              position: "absolute",
               top: 8,
               right: 10,
               fontSize: 8,
@@ -1034,77 +3569,615 @@ export default function PVLoop() {
           >
             <div>a = filling · b = isovolum. contraction</div>
             <div>c = ejection · d = isovolum. relaxation</div>
+            {!asking && (
+              <>
+                <button
+                  onClick={() => setShowLA((v) => !v)}
+                  style={{ ...toggle(showLA, "#79C0FF"), marginTop: 2 }}
+                >
+                  LA loop
+                </button>{" "}
+              </>
+            )}
+            <button
+              onClick={() => setOccl((v) => !v)}
+              style={{ ...toggle(occl, "#FFA657"), marginTop: 2 }}
+            >
+              Occlusion
+            </button>{" "}
+            <button
+              onClick={() => setShowTr((v) => !v)}
+              style={{ ...toggle(showTr, "#E3B341"), marginTop: 2 }}
+            >
+              Beats
+            </button>{" "}
+            {!asking && (
+              <>
+                <button
+                  onClick={() => setShowWig((v) => !v)}
+                  style={{ ...toggle(showWig, "#3FB950"), marginTop: 2 }}
+                >
+                  Wiggers
+                </button>{" "}
+              </>
+            )}
+            <DataImport
+              data={data}
+              error={dataErr}
+              onFile={importCSV}
+              onClear={() => setData(null)}
+            />
+            {occ && (
+              <div style={{ color: "#FFA657", marginTop: 2 }}>
+                <div>
+                  ESPVR fit: Ees {occ.espvr.Ees.toFixed(2)} · V0{" "}
+                  {occ.espvr.V0.toFixed(1)} mL · r² {occ.espvr.r2.toFixed(3)}
+                </div>
+                <div style={{ color: "#6E7681" }}>
+                  model: Ees {pm.Ees.toFixed(2)} · V0 {pm.V0.toFixed(0)} mL
+                </div>
+                <div>
+                  EDPVR fit: A {occ.edpvr.A.toFixed(2)} · α{" "}
+                  {occ.edpvr.alpha.toFixed(3)}
+                </div>
+                <div style={{ color: "#6E7681" }}>
+                  model: A {A_ED} · α {pm.alpha.toFixed(3)}
+                </div>
+              </div>
+            )}
           </div>
         </div>
 
-        {/* Sliders */}
+        {/* Wiggers diagram */}
+        {showWig && !asking && (
+          <WiggersPanel
+            beat={beat}
+            color={col}
+            cycles={cycles}
+            onCycles={setCycles}
+            rate={wigRate}
+            onRate={setWigRate}
+            cursor={wigT % wigSpan}
+            onScrub={setWigT}
+          />
+        )}
+
+        {/* Mechanical circulatory support */}
+        {mode !== "quiz" && mode !== "predict" && (
+          <SupportPanel
+            device={device}
+            onDevice={setDevice}
+            sup={sup}
+            beat={beat}
+            en={en}
+            HR={beatP.HR}
+            color={col}
+          />
+        )}
+
+        {/* Beat-by-beat transient */}
+        {showTr && (
+          <div style={PANEL}>
+            <div style={ROW}>
+              <PanelLabel>Beats</PanelLabel>
+              {TRANSIENT_BEATS.map((n) => (
+                <button
+                  key={n}
+                  onClick={() => setTrN(n)}
+                  style={toggle(trN === n, null, "#484F58")}
+                >
+                  {n}
+                </button>
+              ))}
+              {tr ? (
+                <span>
+                  after the last change: EDV {tr.beats[0].EDV.toFixed(0)} →{" "}
+                  {tr.beats[trN].EDV.toFixed(0)} · ESV{" "}
+                  {tr.beats[0].ESV.toFixed(0)} → {tr.beats[trN].ESV.toFixed(0)}{" "}
+                  mL — the dashed loop is the last beat before it
+                </span>
+              ) : (
+                <span>
+                  change a scenario, step or slider to watch the beats that
+                  follow
+                </span>
+              )}
+            </div>
+            {tr && <BeatTrend beats={tr.beats} />}
+          </div>
+        )}
+
+        {/* Export */}
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "flex-end",
+            alignItems: "center",
+            flexWrap: "wrap",
+            gap: 4,
+            margin: "4px 0",
+            fontSize: 8,
+            color: "#6E7681",
+          }}
+        >
+          {exportErr && <span style={{ color: "#F85149" }}>{exportErr}</span>}
+          Export chart
+          {["svg", "png"].map((k) => (
+            <button key={k} onClick={() => exportAs(k)} style={BUTTON}>
+              {k.toUpperCase()}
+            </button>
+          ))}
+          {[1, 2, 4].map((k) => (
+            <button
+              key={k}
+              onClick={() => setPngScale(k)}
+              title={`PNG at ${W * k}×${H * k}`}
+              style={toggle(pngScale === k, null, "#484F58")}
+            >
+              {k}×
+            </button>
+          ))}
+          <span style={{ marginLeft: 6 }}>loop + metrics</span>
+          {["csv", "json"].map((k) => (
+            <button key={k} onClick={() => exportAs(k)} style={BUTTON}>
+              {k.toUpperCase()}
+            </button>
+          ))}
+        </div>
+
+        {/* Snapshots */}
+        <div style={PANEL}>
+          <div style={ROW}>
+            <PanelLabel>Snapshots</PanelLabel>
+            <button onClick={pinSnap} style={BUTTON}>
+              + Pin current
+            </button>
+            {snaps.length === 0 && "pin loops to compare them on one chart"}
+            {snaps.map((x) => (
+              <span
+                key={x.id}
+                style={{
+                  display: "inline-flex",
+                  alignItems: "center",
+                  gap: 3,
+                  padding: "1px 4px",
+                  border: `1px solid ${x.on ? x.color + "55" : "#21262D"}`,
+                  borderRadius: 3,
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={x.on}
+                  onChange={(e) => editSnap(x.id, { on: e.target.checked })}
+                  title="Show on the chart"
+                  style={{ margin: 0, accentColor: x.color }}
+                />
+                <input
+                  value={x.name}
+                  onChange={(e) => editSnap(x.id, { name: e.target.value })}
+                  style={{
+                    width: 110,
+                    fontSize: 9,
+                    background: "transparent",
+                    color: x.on ? x.color : "#6E7681",
+                    border: "none",
+                    fontFamily: "inherit",
+                  }}
+                />
+                <button
+                  onClick={() =>
+                    setSnaps((xs) => xs.filter((y) => y.id !== x.id))
+                  }
+                  title="Remove"
+                  style={{
+                    padding: 0,
+                    fontSize: 9,
+                    background: "transparent",
+                    color: "#6E7681",
+                    border: "none",
+                    cursor: "pointer",
+                    fontFamily: "inherit",
+                  }}
+                >
+                  ✕
+                </button>
+              </span>
+            ))}
+          </div>
+          {shownSnaps.length >= 2 && (
+            <div style={{ paddingLeft: 66, marginTop: 4 }}>
+              <table style={{ borderCollapse: "collapse", fontSize: 9 }}>
+                <thead>
+                  <tr>
+                    <th />
+                    {shownSnaps.map((x) => (
+                      <th
+                        key={x.id}
+                        style={{
+                          padding: "0 8px",
+                          fontWeight: 600,
+                          color: x.color,
+                          textAlign: "right",
+                        }}
+                      >
+                        {x.name}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {SNAP_METRICS.map(({ key, unit, digits = 0 }) => {
+                    const ref = shownSnaps[0].vals[key];
+                    return (
+                      <tr key={key}>
+                        <td style={{ padding: "0 8px", color: "#8B949E" }}>
+                          {key} <span style={{ color: "#484F58" }}>{unit}</span>
+                        </td>
+                        {shownSnaps.map((x, i) => {
+                          const v = x.vals[key];
+                          const d = +(v - ref).toFixed(digits);
+                          return (
+                            <td
+                              key={x.id}
+                              style={{
+                                padding: "0 8px",
+                                textAlign: "right",
+                                color: "#C9D1D9",
+                              }}
+                            >
+                              {v.toFixed(digits)}
+                              {i > 0 && (
+                                <Delta
+                                  d={d}
+                                  digits={digits}
+                                  style={{
+                                    display: "inline-block",
+                                    minWidth: 44,
+                                  }}
+                                />
+                              )}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div style={{ color: "#484F58", marginTop: 2 }}>
+                differences are against {shownSnaps[0].name}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Metrics */}
         <div
           style={{
             display: "grid",
             gridTemplateColumns: "repeat(4, 1fr)",
-            gap: 6,
+            gap: 4,
             margin: "4px 0",
-            padding: "8px",
+            padding: "6px 8px",
             background: "#161B22",
             borderRadius: 4,
             border: "1px solid #21262D",
           }}
         >
-          {[
-            {
-              key: "Ees",
-              label: "Contractility (Ees)",
-              min: 0.5,
-              max: 5,
-              step: 0.1,
-            },
-            { key: "EDV", label: "Preload (EDV)", min: 60, max: 220, step: 2 },
-            { key: "Ea", label: "Afterload (Ea)", min: 0.5, max: 4, step: 0.1 },
-            {
-              key: "alpha",
-              label: "Compliance (α)",
-              min: 0.005,
-              max: 0.04,
-              step: 0.001,
-            },
-          ].map(({ key, label, min, max, step: s }) => {
-            const val = mode === "scenario" ? sc[key] ?? NORM[key] : sl[key];
-            return (
-              <div key={key}>
-                <div
-                  style={{
-                    fontSize: 8,
-                    color: "#8B949E",
-                    marginBottom: 2,
-                    whiteSpace: "nowrap",
-                    overflow: "hidden",
-                    textOverflow: "ellipsis",
-                  }}
-                >
-                  {label}
-                </div>
+          {[...metrics, ...hemo, ...valve, ...rvCells].map((m) => (
+            <Metric key={m.label} m={m} showRef={showRef} />
+          ))}
+          <div
+            style={{
+              gridColumn: "1 / -1",
+              display: "flex",
+              justifyContent: "center",
+              alignItems: "center",
+              gap: 4,
+              fontSize: 8,
+              color: "#6E7681",
+            }}
+          >
+            Body size
+            {[
+              { key: "h", unit: "cm", min: 50, max: 230 },
+              { key: "w", unit: "kg", min: 3, max: 250 },
+            ].map(({ key, unit, min, max }) => (
+              <React.Fragment key={key}>
                 <input
-                  type="range"
+                  type="number"
                   min={min}
                   max={max}
-                  step={s}
-                  value={val}
-                  onChange={(e) => slide(key, parseFloat(e.target.value))}
-                  style={{ width: "100%", accentColor: col, height: 4 }}
-                />
-                <div
-                  style={{
-                    fontSize: 10,
-                    color: "#E6EDF3",
-                    fontWeight: 600,
-                    textAlign: "center",
+                  value={body[key]}
+                  onChange={(e) => {
+                    const v = parseFloat(e.target.value);
+                    if (v >= min && v <= max)
+                      setBody((b) => ({ ...b, [key]: v }));
                   }}
-                >
-                  {key === "alpha" ? val.toFixed(3) : Number(val).toFixed(1)}
+                  style={{ ...FIELD, width: 40 }}
+                />
+                {unit}
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+
+        {/* Energetics */}
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "repeat(6, 1fr)",
+            gap: 4,
+            margin: "4px 0",
+            padding: "6px 8px",
+            background: "#161B22",
+            borderRadius: 4,
+            border: "1px solid #21262D",
+          }}
+        >
+          <div
+            style={{
+              gridColumn: "1 / -1",
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              fontSize: 8,
+              color: "#6E7681",
+              textTransform: "uppercase",
+              letterSpacing: 0.5,
+            }}
+          >
+            Energetics · Suga PVA–VO₂
+            <button
+              onClick={() => setShowPVA((v) => !v)}
+              style={toggle(showPVA, "#E3B341")}
+            >
+              Shade PVA
+            </button>
+          </div>
+          {energy.map((m) => (
+            <Metric key={m.label} m={m} showRef={showRef} />
+          ))}
+        </div>
+
+        {/* Sliders (hidden in the quiz and exercises: they give the answer away) */}
+        {mode !== "quiz" && mode !== "predict" && (
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(auto-fill, minmax(96px, 1fr))",
+              gap: 6,
+              margin: "4px 0",
+              padding: "8px",
+              background: "#161B22",
+              borderRadius: 4,
+              border: "1px solid #21262D",
+            }}
+          >
+            {sliders.map(({ key, label, min, max, step: s, digits = 1 }) => {
+              const val = mode === "scenario" ? pp[key] : slNow[key];
+              return (
+                <div key={key}>
+                  <div
+                    style={{
+                      fontSize: 8,
+                      color: "#8B949E",
+                      marginBottom: 2,
+                      whiteSpace: "nowrap",
+                      overflow: "hidden",
+                      textOverflow: "ellipsis",
+                    }}
+                  >
+                    {label}
+                  </div>
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={s}
+                    value={val}
+                    onChange={(e) => slide(key, parseFloat(e.target.value))}
+                    style={{ width: "100%", accentColor: col, height: 4 }}
+                  />
+                  <div
+                    style={{
+                      fontSize: 10,
+                      color: "#E6EDF3",
+                      fontWeight: 600,
+                      textAlign: "center",
+                    }}
+                  >
+                    {Number(val).toFixed(digits)}
+                  </div>
                 </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Exercise on top of the scenario */}
+        {mode === "scenario" && (
+          <ExercisePanel
+            effort={effortNow}
+            onEffort={(v) => {
+              scMove.current = "effort";
+              setEffort(v);
+            }}
+            rest={restL?.vals}
+            params={pp}
+            vals={vals}
+            inflow={narrowed(pp.mvArea) ? "mitral" : biv ? "right" : null}
+            color={col}
+          />
+        )}
+
+        {/* Drugs on top of the scenario */}
+        {mode === "scenario" && (
+          <DrugPanel
+            doses={dosesNow}
+            onDose={(k, v) => {
+              scMove.current = "rx." + k;
+              setDoses((x) => ({ ...x, [k]: v }));
+            }}
+            onClear={() => setDoses({})}
+            label={sc.label}
+            before={rxBase?.vals}
+            vals={vals}
+            metrics={SNAP_METRICS}
+            color={col}
+          />
+        )}
+
+        {/* Patient fit */}
+        <div
+          style={{
+            margin: "4px 0",
+            padding: "6px 8px",
+            background: "#161B22",
+            borderRadius: 4,
+            border: "1px solid #21262D",
+            fontSize: 9,
+            color: "#8B949E",
+          }}
+        >
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              fontSize: 8,
+              color: "#6E7681",
+              textTransform: "uppercase",
+              letterSpacing: 0.5,
+            }}
+          >
+            Patient fit · Ees, Ea, α from hemodynamics
+            <button
+              onClick={() => setShowFit((v) => !v)}
+              style={toggle(showFit, "#3FB950")}
+            >
+              {showFit ? "Hide" : "Fit a patient"}
+            </button>
+          </div>
+          {fitRes && (
+            <>
+              <div
+                style={{
+                  display: "flex",
+                  flexWrap: "wrap",
+                  gap: "4px 10px",
+                  margin: "6px 0",
+                }}
+              >
+                {FIT_FIELDS.map(({ key, unit }) => (
+                  <label key={key} style={{ whiteSpace: "nowrap" }}>
+                    {key}{" "}
+                    <input
+                      type="number"
+                      min={0}
+                      value={fitIn[key]}
+                      placeholder="—"
+                      onChange={(e) =>
+                        setFitIn((f) => ({ ...f, [key]: e.target.value }))
+                      }
+                      style={{ ...FIELD, width: 40 }}
+                    />{" "}
+                    <span style={{ color: "#484F58" }}>{unit}</span>
+                  </label>
+                ))}
+                <button
+                  onClick={() => setFitChen((v) => !v)}
+                  title="Fit Ees and V0 by the Chen single-beat method (needs SBP and DBP) instead of holding V0"
+                  style={toggle(fitChen, "#3FB950")}
+                >
+                  Single-beat Ees, V0
+                </button>
               </div>
-            );
-          })}
+              {fitRes.error ? (
+                <div style={{ color: "#F85149" }}>{fitRes.error}</div>
+              ) : (
+                <>
+                  <div style={{ color: "#E6EDF3" }}>
+                    Ees {fitRes.est.Ees.toFixed(2)} · V0{" "}
+                    {fitRes.est.V0.toFixed(0)} mL (
+                    {fitChen ? "single-beat intercept" : "fixed"}) · Ea{" "}
+                    {fitRes.est.Ea.toFixed(2)} · α {fitRes.est.alpha.toFixed(3)}{" "}
+                    (A {A_ED}) mmHg/mL
+                  </div>
+                  {fitRes.est.chen && (
+                    <div>
+                      Chen single-beat
+                      {fitChen ? "" : ", for comparison"}: Ees{" "}
+                      {fitRes.est.chen.Ees.toFixed(2)} · ESPVR intercept{" "}
+                      {fitRes.est.chen.V0.toFixed(0)} mL · ENd{" "}
+                      {fitRes.est.chen.ENd.toFixed(3)}
+                    </div>
+                  )}
+                  {fitRes.clamped.length > 0 && (
+                    <div style={{ color: "#E3B341" }}>
+                      Clamped to range: {fitRes.clamped.join(", ")}
+                    </div>
+                  )}
+                  <table
+                    style={{
+                      borderCollapse: "collapse",
+                      margin: "4px 0",
+                      fontSize: 9,
+                    }}
+                  >
+                    <thead>
+                      <tr style={{ color: "#6E7681" }}>
+                        {["", "measured", "simulated", "residual"].map((h) => (
+                          <th
+                            key={h}
+                            style={{ padding: "0 8px", fontWeight: 400 }}
+                          >
+                            {h}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {fitRes.rows.map((r) => {
+                        const d = r.sim - r.meas;
+                        return (
+                          <tr key={r.label}>
+                            <td style={{ padding: "0 8px" }}>{r.label}</td>
+                            <td
+                              style={{ padding: "0 8px", textAlign: "right" }}
+                            >
+                              {r.meas.toFixed(1)}
+                            </td>
+                            <td
+                              style={{ padding: "0 8px", textAlign: "right" }}
+                            >
+                              {r.sim.toFixed(1)}
+                            </td>
+                            <td
+                              style={{
+                                padding: "0 8px",
+                                textAlign: "right",
+                                color:
+                                  Math.abs(d) > 0.1 * Math.abs(r.meas)
+                                    ? "#F85149"
+                                    : "#3FB950",
+                              }}
+                            >
+                              {d >= 0 ? "+" : ""}
+                              {d.toFixed(1)} {r.unit}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <button onClick={loadFit} style={action("#3FB950")}>
+                    Load into manual mode
+                  </button>
+                </>
+              )}
+            </>
+          )}
         </div>
 
         {/* Teaching steps */}
@@ -1131,20 +4204,23 @@ export default function PVLoop() {
                 {scKey !== "normal" ? " — Mechanism" : " — How It Works"}
               </span>
               <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                {scKey !== "normal" && (
+                  <button
+                    onClick={replayFromNormal}
+                    title="Replay the transition from the Normal loop"
+                    style={{
+                      ...action(col),
+                      background: "transparent",
+                      fontWeight: 400,
+                    }}
+                  >
+                    ↺ From Normal
+                  </button>
+                )}
                 <button
                   onClick={() => setStep((s) => Math.max(0, s - 1))}
                   disabled={step === 0}
-                  style={{
-                    padding: "2px 10px",
-                    fontSize: 11,
-                    fontWeight: 600,
-                    background: step === 0 ? "#0D1117" : col + "18",
-                    color: step === 0 ? "#30363D" : col,
-                    border: `1px solid ${step === 0 ? "#21262D" : col + "44"}`,
-                    borderRadius: 3,
-                    cursor: step === 0 ? "default" : "pointer",
-                    fontFamily: "inherit",
-                  }}
+                  style={action(col, step > 0)}
                 >
                   ← Prev
                 </button>
@@ -1161,19 +4237,7 @@ export default function PVLoop() {
                 <button
                   onClick={() => setStep((s) => Math.min(nSteps - 1, s + 1))}
                   disabled={step === nSteps - 1}
-                  style={{
-                    padding: "2px 10px",
-                    fontSize: 11,
-                    fontWeight: 600,
-                    background: step === nSteps - 1 ? "#0D1117" : col + "18",
-                    color: step === nSteps - 1 ? "#30363D" : col,
-                    border: `1px solid ${
-                      step === nSteps - 1 ? "#21262D" : col + "44"
-                    }`,
-                    borderRadius: 3,
-                    cursor: step === nSteps - 1 ? "default" : "pointer",
-                    fontFamily: "inherit",
-                  }}
+                  style={action(col, step < nSteps - 1)}
                 >
                   Next →
                 </button>
@@ -1218,6 +4282,398 @@ export default function PVLoop() {
           </div>
         )}
 
+        {/* Quiz */}
+        {mode === "quiz" && quiz && (
+          <div
+            style={{
+              background: "#161B22",
+              border: `1px solid ${col}22`,
+              borderRadius: 4,
+              padding: "10px 12px",
+              marginTop: 6,
+              fontSize: 10,
+              color: "#8B949E",
+            }}
+          >
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                flexWrap: "wrap",
+                gap: 6,
+                marginBottom: 8,
+              }}
+            >
+              <span style={{ fontSize: 12, fontWeight: 700, color: "#E6EDF3" }}>
+                Quiz — question {quizLog.length + (quiz.answer ? 0 : 1)}
+              </span>
+              <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                {[
+                  { key: "name", label: "Name it" },
+                  { key: "corners", label: "Corners" },
+                ].map((t) => {
+                  const on = quizOpts.type === t.key;
+                  return (
+                    <button
+                      key={t.key}
+                      onClick={() => quizType({ ...quizOpts, type: t.key })}
+                      style={toggle(on)}
+                    >
+                      {t.label}
+                    </button>
+                  );
+                })}
+                <label
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 3,
+                    fontSize: 8,
+                    color: "#6E7681",
+                    cursor: "pointer",
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={quizOpts.jitter}
+                    onChange={(e) =>
+                      quizType({ ...quizOpts, jitter: e.target.checked })
+                    }
+                  />
+                  Jitter ±10%
+                </label>
+              </div>
+            </div>
+
+            {quiz.type === "name" ? (
+              <>
+                <div style={{ marginBottom: 6 }}>
+                  Which condition is this loop?
+                </div>
+                <div style={{ display: "flex", gap: 4, flexWrap: "wrap" }}>
+                  {quiz.options.map((k) => {
+                    const picked = quiz.answer?.pick === k;
+                    const right = quiz.answer && k === quiz.key;
+                    const c = right ? "#3FB950" : picked ? "#F85149" : null;
+                    return (
+                      <button
+                        key={k}
+                        onClick={() => answerName(k)}
+                        disabled={!!quiz.answer}
+                        style={{
+                          ...choice(!!c, c, "#C9D1D9"),
+                          cursor: quiz.answer ? "default" : "pointer",
+                        }}
+                      >
+                        {catalog[k]?.label ?? k}
+                      </button>
+                    );
+                  })}
+                </div>
+              </>
+            ) : (
+              <>
+                <div style={{ marginBottom: 6 }}>
+                  Compared with the Normal loop, which corners moved?
+                </div>
+                {CORNERS.map(({ key, label }) => {
+                  const truth = quiz.answer?.truth[key];
+                  return (
+                    <div
+                      key={key}
+                      style={{
+                        display: "flex",
+                        alignItems: "center",
+                        gap: 4,
+                        marginBottom: 3,
+                      }}
+                    >
+                      <span style={{ width: 150, color: "#C9D1D9" }}>
+                        {label}
+                      </span>
+                      {[
+                        { v: true, label: "Moved" },
+                        { v: false, label: "Same" },
+                      ].map((o) => {
+                        const on = guess[key] === o.v;
+                        return (
+                          <button
+                            key={o.label}
+                            onClick={() => setGuess({ ...guess, [key]: o.v })}
+                            disabled={!!quiz.answer}
+                            style={{
+                              ...toggle(on),
+                              cursor: quiz.answer ? "default" : "pointer",
+                            }}
+                          >
+                            {o.label}
+                          </button>
+                        );
+                      })}
+                      {quiz.answer && (
+                        <span
+                          style={{
+                            color: guess[key] === truth ? "#3FB950" : "#F85149",
+                          }}
+                        >
+                          {guess[key] === truth ? "✓" : "✗"}{" "}
+                          {truth ? "moved" : "same"}
+                        </span>
+                      )}
+                    </div>
+                  );
+                })}
+                {!quiz.answer && (
+                  <button
+                    onClick={answerCorners}
+                    disabled={CORNERS.some(({ key }) => guess[key] == null)}
+                    style={{ ...action(null), marginTop: 4 }}
+                  >
+                    Check
+                  </button>
+                )}
+              </>
+            )}
+
+            {quiz.answer && (
+              <div
+                style={{
+                  marginTop: 8,
+                  paddingTop: 8,
+                  borderTop: "1px solid #21262D",
+                }}
+              >
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    marginBottom: 6,
+                  }}
+                >
+                  <span style={{ fontSize: 12, fontWeight: 700, color: col }}>
+                    {quiz.answer.score === 1 ? "✓ " : "✗ "}
+                    It was: {quizSc.label}
+                    {quiz.type === "corners" &&
+                      ` — ${Math.round(quiz.answer.score * CORNERS.length)}/${CORNERS.length} corners`}
+                  </span>
+                  <button onClick={() => nextQuestion()} style={action(col)}>
+                    Next question →
+                  </button>
+                </div>
+                {quizSc.steps.map((st, i) => (
+                  <div key={i} style={{ marginBottom: 6 }}>
+                    <div
+                      style={{
+                        fontSize: 11,
+                        fontWeight: 700,
+                        color: "#E6EDF3",
+                      }}
+                    >
+                      {st.title}
+                    </div>
+                    <div style={{ fontSize: 11, lineHeight: 1.6 }}>
+                      {st.text}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {quizLog.length > 0 && (
+              <div
+                style={{
+                  marginTop: 8,
+                  paddingTop: 8,
+                  borderTop: "1px solid #21262D",
+                }}
+              >
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    marginBottom: 4,
+                  }}
+                >
+                  <span style={{ fontWeight: 700, color: "#E6EDF3" }}>
+                    Session: {+quizTotal.toFixed(2)}/{quizLog.length} (
+                    {Math.round((100 * quizTotal) / quizLog.length)}%)
+                  </span>
+                  <button
+                    onClick={() => {
+                      setQuizLog([]);
+                      nextQuestion();
+                    }}
+                    style={BUTTON}
+                  >
+                    Reset
+                  </button>
+                </div>
+                {quizLog.map((e, i) => (
+                  <div key={i} style={{ display: "flex", gap: 6 }}>
+                    <span style={{ width: 16, color: "#484F58" }}>
+                      {i + 1}.
+                    </span>
+                    <span
+                      style={{
+                        width: 12,
+                        color: e.score === 1 ? "#3FB950" : "#F85149",
+                      }}
+                    >
+                      {e.score === 1 ? "✓" : "✗"}
+                    </span>
+                    <span style={{ color: "#C9D1D9" }}>{e.label}</span>
+                    <span>
+                      {e.type === "name"
+                        ? e.score === 1
+                          ? "named"
+                          : `named as ${e.pick}`
+                        : `corners ${Math.round(e.score * CORNERS.length)}/${CORNERS.length}`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Predict-then-reveal */}
+        {mode === "predict" && ex && (
+          <div
+            style={{
+              background: "#161B22",
+              border: "1px solid #21262D",
+              borderRadius: 4,
+              padding: "10px 12px",
+              marginTop: 6,
+              fontSize: 10,
+              color: "#8B949E",
+            }}
+          >
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                marginBottom: 8,
+              }}
+            >
+              <span style={{ fontSize: 12, fontWeight: 700, color: "#E6EDF3" }}>
+                Predict — exercise {exLog.length + (ex.result ? 0 : 1)}
+              </span>
+              {exLog.length > 0 && (
+                <span>
+                  Session: {exTotal}/{exLog.length * READOUTS.length} (
+                  {Math.round(
+                    (100 * exTotal) / (exLog.length * READOUTS.length)
+                  )}
+                  %)
+                </span>
+              )}
+            </div>
+            <div style={{ fontSize: 11, color: "#C9D1D9", marginBottom: 8 }}>
+              {ex.to > ex.from ? "Increase" : "Decrease"}{" "}
+              <strong style={{ color: "#E6EDF3" }}>{exSlider.label}</strong>{" "}
+              from {exVal(ex.from)} to {exVal(ex.to)}. Which way does each
+              readout go?
+            </div>
+            {READOUTS.map((k, i) => {
+              const r = ex.result?.rows[i];
+              const arrow = (d) => DIRECTIONS.find((x) => x.key === d).label;
+              return (
+                <div
+                  key={k}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 4,
+                    marginBottom: 3,
+                  }}
+                >
+                  <span style={{ width: 48, color: "#C9D1D9" }}>{k}</span>
+                  {DIRECTIONS.map((d) => {
+                    const on = ex.pred[k] === d.key;
+                    return (
+                      <button
+                        key={d.key}
+                        onClick={() =>
+                          setEx({ ...ex, pred: { ...ex.pred, [k]: d.key } })
+                        }
+                        disabled={!!ex.result}
+                        style={{
+                          ...toggle(on),
+                          width: 24,
+                          padding: "1px 0",
+                          fontSize: 10,
+                          cursor: ex.result ? "default" : "pointer",
+                        }}
+                      >
+                        {d.label}
+                      </button>
+                    );
+                  })}
+                  {r && (
+                    <span style={{ color: r.ok ? "#3FB950" : "#F85149" }}>
+                      {r.ok ? "✓" : "✗"} {arrow(r.truth)}{" "}
+                      <span style={{ color: "#6E7681" }}>
+                        {r.before.toFixed(1)} → {r.after.toFixed(1)}
+                      </span>
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+            {!ex.result ? (
+              <button
+                onClick={reveal}
+                disabled={READOUTS.some((k) => !ex.pred[k])}
+                style={{ ...action(null), marginTop: 4 }}
+              >
+                Reveal
+              </button>
+            ) : (
+              <div
+                style={{
+                  marginTop: 8,
+                  paddingTop: 8,
+                  borderTop: "1px solid #21262D",
+                }}
+              >
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    gap: 6,
+                    marginBottom: 6,
+                  }}
+                >
+                  <span style={{ fontSize: 12, fontWeight: 700, color: col }}>
+                    {ex.result.score}/{READOUTS.length} right
+                  </span>
+                  <div style={{ display: "flex", gap: 4 }}>
+                    <button
+                      onClick={playMove}
+                      disabled={!!anim}
+                      style={{ ...action(null, !anim), fontWeight: 400 }}
+                    >
+                      Replay
+                    </button>
+                    <button onClick={nextExercise} style={action(col)}>
+                      Next exercise →
+                    </button>
+                  </div>
+                </div>
+                <div style={{ fontSize: 11, lineHeight: 1.6 }}>
+                  {MOVES[ex.key]}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
         {mode === "manual" && (
           <div
             style={{
@@ -1243,8 +4699,57 @@ export default function PVLoop() {
             along same ESPVR → right side moves, left side stays
             <br />• <strong style={{ color: "#A371F7" }}>Afterload (ESP)</strong>: the
             b/c intersection → ESP rises/falls, ESV changes
-            <br />• <strong style={{ color: "#F0883E" }}>Compliance</strong>: rotates
-            EDPVR → stiffer wall fills to smaller EDV at same filling pressure
+            <br />• <strong style={{ color: "#F0883E" }}>Compliance</strong>:
+            rotates EDPVR → stiffer wall fills to smaller EDV at same filling
+            pressure
+            <br />• <strong style={{ color: "#E3B341" }}>Heart rate</strong>:
+            the loop stays put → only CO = SV × HR (and SVR) change
+            <br />• <strong style={{ color: "#3FB950" }}>Valve orifices</strong>
+            : EDV is held, the leak removes an isovolumic limb → SV grows but
+            only the forward part counts toward CO; a narrow AV area lifts LV
+            pressure above the dashed aortic trace, a narrow MV area lifts LAP
+            above LVEDP
+            <br />• <strong style={{ color: "#DB61A2" }}>RV sliders</strong>
+            (LV + RV): the LV target is held → only the RV loop, CVP and PA
+            pressure respond
+          </div>
+        )}
+
+        {mode === "interdependent" && (
+          <div
+            style={{
+              background: "#161B22",
+              border: "1px solid #21262D",
+              borderRadius: 4,
+              padding: "8px 12px",
+              marginTop: 6,
+              fontSize: 10,
+              color: "#6E7681",
+              lineHeight: 1.6,
+            }}
+          >
+            <strong style={{ color: "#E6EDF3" }}>
+              Interdependent mode — in-vivo response (cf026)
+            </strong>
+            <br />
+            Sliders change the load, not the loop corners. The ventricle then
+            settles to a new steady state. The dotted outline is the cf025
+            answer to the same move.
+            <br />• <strong style={{ color: "#A371F7" }}>Resistance</strong>: Ea
+            and ESV rise → the extra residual volume carries into the next
+            filling → EDV rises too, so SV falls less than in cf025
+            <br />• <strong style={{ color: "#BC8CFF" }}>Contractility</strong>:
+            ESV falls → less residual volume → EDV falls too
+            <br />• <strong style={{ color: "#1F6FEB" }}>Preload</strong>: sets
+            venous filling pressure → EDV follows, and ESP rises with it
+            <br />• <strong style={{ color: "#F0883E" }}>Compliance</strong>:
+            stiffer wall fills less at the same venous pressure → EDV falls,
+            LVEDP rises
+            <br />• <strong style={{ color: "#E3B341" }}>C and Zc</strong>: a
+            stiffer aorta widens pulse pressure and raises Ea at the same R
+            <br />• <strong style={{ color: "#DB61A2" }}>RV sliders</strong>
+            (LV + RV): a weaker RV or a higher PVR cuts LV filling through the
+            lungs and the septum
           </div>
         )}
 
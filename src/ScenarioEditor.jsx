@@ -0,0 +1,181 @@
+// ═══════════════════════════════════════════════════════════════════
+// SCENARIO EDITOR — authoring a custom scenario (scenarios.js)
+//
+// Name, color, highlight and the LV, valve and (with LV + RV) RV inputs,
+// then the teaching steps. Fields left blank take the app's defaults,
+// shown as placeholders; saving checks the draft like a pack scenario.
+// ═══════════════════════════════════════════════════════════════════
+
+import React from "react";
+import { HIGHLIGHTS } from "./scenarios.js";
+import { FIELD, toggle, action } from "./ui.jsx";
+
+// draft: the scenario being edited, with inputs as typed and key null for
+// a new one; error: why the last save failed
+export function ScenarioEditor({
+  draft,
+  onChange,
+  error,
+  defaults,
+  onSave,
+  onCancel,
+  onDelete,
+}) {
+  const set = (k, v) => onChange({ ...draft, [k]: v });
+  const editStep = (i, field, v) =>
+    set(
+      "steps",
+      draft.steps.map((st, j) => (j === i ? { ...st, [field]: v } : st))
+    );
+  return (
+    <div
+      style={{
+        margin: "0 0 8px",
+        padding: "8px 10px",
+        background: "#161B22",
+        border: `1px solid ${draft.color}44`,
+        borderRadius: 4,
+        fontSize: 9,
+        color: "#8B949E",
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <div
+        style={{
+          fontSize: 8,
+          color: "#6E7681",
+          textTransform: "uppercase",
+          letterSpacing: 0.5,
+        }}
+      >
+        {draft.key ? "Edit scenario" : "New scenario · from the current loop"}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "4px 10px" }}>
+        <label>
+          Name{" "}
+          <input
+            value={draft.label}
+            placeholder="e.g. Constrictive pericarditis"
+            onChange={(e) => set("label", e.target.value)}
+            style={{ ...FIELD, width: 170 }}
+          />
+        </label>
+        <label>
+          Color{" "}
+          <input
+            type="color"
+            value={draft.color}
+            onChange={(e) => set("color", e.target.value)}
+            style={{ width: 24, height: 14, padding: 0, border: "none" }}
+          />
+        </label>
+        <label>
+          Highlight{" "}
+          <select
+            value={draft.highlight || ""}
+            onChange={(e) => set("highlight", e.target.value || null)}
+            style={FIELD}
+          >
+            <option value="">none</option>
+            {HIGHLIGHTS.map((h) => (
+              <option key={h} value={h}>
+                {h}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={!!draft.biv}
+            onChange={(e) => set("biv", e.target.checked)}
+          />{" "}
+          LV + RV
+        </label>
+      </div>
+      {[
+        ["LV", ["Ees", "EDV", "Ea", "alpha", "HR"]],
+        ["Valves", ["mrEROA", "arEROA", "avArea", "mvArea"]],
+        ...(draft.biv ? [["RV", ["rvEes", "rvAlpha", "Rp"]]] : []),
+      ].map(([group, keys]) => (
+        <div
+          key={group}
+          style={{ display: "flex", flexWrap: "wrap", gap: "4px 10px" }}
+        >
+          <span style={{ width: 34, color: "#484F58" }}>{group}</span>
+          {keys.map((k) => (
+            <label key={k}>
+              {k}{" "}
+              <input
+                type="number"
+                value={draft[k] ?? ""}
+                placeholder={defaults[k]}
+                onChange={(e) => set(k, e.target.value)}
+                style={{ ...FIELD, width: 46 }}
+              />
+            </label>
+          ))}
+        </div>
+      ))}
+      {draft.steps.map((st, i) => (
+        <div key={i} style={{ display: "flex", gap: 4 }}>
+          <span style={{ color: "#484F58", width: 14 }}>{i + 1}</span>
+          <div
+            style={{
+              flex: 1,
+              display: "flex",
+              flexDirection: "column",
+              gap: 2,
+            }}
+          >
+            <input
+              value={st.title}
+              placeholder="Step title"
+              onChange={(e) => editStep(i, "title", e.target.value)}
+              style={FIELD}
+            />
+            <textarea
+              value={st.text}
+              rows={2}
+              placeholder="Teaching text"
+              onChange={(e) => editStep(i, "text", e.target.value)}
+              style={{ ...FIELD, resize: "vertical" }}
+            />
+          </div>
+          <button
+            onClick={() =>
+              set(
+                "steps",
+                draft.steps.filter((_, j) => j !== i)
+              )
+            }
+            disabled={draft.steps.length === 1}
+            style={{ ...toggle(false), alignSelf: "flex-start" }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      {error && <div style={{ color: "#F85149" }}>{error}</div>}
+      <div style={{ display: "flex", gap: 6 }}>
+        {[
+          {
+            label: "+ Step",
+            on: () => set("steps", [...draft.steps, { title: "", text: "" }]),
+          },
+          { label: "Save", on: onSave, color: draft.color },
+          { label: "Cancel", on: onCancel },
+          draft.key && { label: "Delete", on: onDelete, color: "#F85149" },
+        ]
+          .filter(Boolean)
+          .map((b) => (
+            <button key={b.label} onClick={b.on} style={action(b.color)}>
+              {b.label}
+            </button>
+          ))}
+      </div>
+    </div>
+  );
+}
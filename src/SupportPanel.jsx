@@ -0,0 +1,170 @@
+// ═══════════════════════════════════════════════════════════════════
+// MECHANICAL CIRCULATORY SUPPORT — LVAD, Impella or IABP
+//
+// The device runs on the current state (model.js); the supported loop is
+// drawn over the unsupported one, and this panel compares the two for
+// pump flow and unloading (PVA, LVEDP).
+// ═══════════════════════════════════════════════════════════════════
+
+import React from "react";
+import { DT, LVAD, IABP } from "./model.js";
+import { MMHG_ML_J } from "./energetics.js";
+import { PANEL, ROW, toggle, PanelLabel, BeforeAfter } from "./ui.jsx";
+
+// Mechanical support: the one setting each device has, and its range
+export const DEVICES = [
+  {
+    key: "lvad",
+    label: "LVAD",
+    param: "rpm",
+    name: "Speed",
+    min: 3000,
+    max: 7000,
+    step: 100,
+    init: LVAD.rpm,
+    fmt: (v) => `${v} rpm`,
+    color: "#F0883E",
+    note: "Centrifugal pump, LV apex → aorta. It empties the LV all through the cycle, so there is no isovolumic phase and the loop turns into a triangle; as speed rises the aortic valve opens less, then stays shut.",
+  },
+  {
+    key: "impella",
+    label: "Impella",
+    param: "level",
+    name: "Level",
+    min: 1,
+    max: 9,
+    step: 1,
+    init: 8,
+    fmt: (v) => `P-${v}`,
+    color: "#DB61A2",
+    note: "Axial pump across the aortic valve. Less flow than an LVAD, the same mechanism: the LV unloads into the aorta during isovolumic contraction and relaxation, so those limbs tilt and the loop shrinks.",
+  },
+  {
+    key: "iabp",
+    label: "IABP",
+    param: "Vb",
+    name: "Balloon",
+    min: 10,
+    max: 50,
+    step: 5,
+    init: 40,
+    fmt: (v) => `${v} mL`,
+    color: "#39C5CF",
+    note: `Balloon in the descending aorta, inflated at the dicrotic notch (diastolic augmentation) and emptied ${IABP.lead * 1000} ms before systole: the LV ejects against a lower aortic pressure. Afterload falls; the loop keeps its isovolumic limbs.`,
+  },
+];
+
+// Unsupported vs supported: of(beat, HR, energetics)
+const SUP_METRICS = [
+  { key: "EDV", unit: "mL", of: (b) => b.EDV },
+  { key: "ESV", unit: "mL", of: (b) => b.ESV },
+  { key: "LVEDP", unit: "mmHg", digits: 1, of: (b) => b.LVEDP },
+  { key: "Ao peak", unit: "mmHg", of: (b) => b.ao.sys },
+  { key: "Ao nadir", unit: "mmHg", of: (b) => b.ao.dia },
+  {
+    key: "AV flow",
+    unit: "L/min",
+    digits: 1,
+    of: (b, hr) => (b.vol.fwd * hr) / 1000,
+  },
+  {
+    key: "Pump",
+    unit: "L/min",
+    digits: 1,
+    of: (b, hr) => (b.vol.pump * hr) / 1000,
+  },
+  {
+    key: "CO",
+    unit: "L/min",
+    digits: 1,
+    of: (b, hr) => ((b.vol.fwd + b.vol.pump) * hr) / 1000,
+  },
+  { key: "PVA", unit: "J", digits: 2, of: (b, hr, e) => e.PVA * MMHG_ML_J },
+  { key: "MVO2", unit: "mL O₂/min", digits: 1, of: (b, hr, e) => e.MVO2 },
+];
+
+// How long the aortic valve opens on a supported beat. Without a closure
+// (the valve is still open, or never shut, when the beat ends) there is no
+// time to give.
+function valveOpen({ avo, avc }) {
+  if (avo < 0) return "aortic valve stays shut";
+  if (avc < 0) return "aortic valve open —";
+  return `aortic valve open ${((avc - avo) * DT * 1000).toFixed(0)} ms`;
+}
+
+// device: { key, value } or null; sup: { dev, beat, en } for it, beside
+// the unsupported beat and its energetics en
+export function SupportPanel({ device, onDevice, sup, beat, en, HR, color }) {
+  const delta = (d, digits) =>
+    `${d > 0 ? "+" : "−"}${Math.abs(d).toFixed(digits)}`;
+  return (
+    <div style={PANEL}>
+      <div style={ROW}>
+        <PanelLabel>Support</PanelLabel>
+        {[{ key: null, label: "None", color: "#C9D1D9" }, ...DEVICES].map(
+          (d) => (
+            <button
+              key={d.label}
+              onClick={() => onDevice(d.key && { key: d.key, value: d.init })}
+              style={toggle(
+                (device?.key ?? null) === d.key,
+                d.color,
+                "#484F58"
+              )}
+            >
+              {d.label}
+            </button>
+          )
+        )}
+        {sup && (
+          <label
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 6,
+              flex: 1,
+              minWidth: 160,
+            }}
+          >
+            {sup.dev.name}
+            <input
+              type="range"
+              min={sup.dev.min}
+              max={sup.dev.max}
+              step={sup.dev.step}
+              value={device.value}
+              onChange={(e) =>
+                onDevice({ key: device.key, value: parseFloat(e.target.value) })
+              }
+              style={{ flex: 1, accentColor: sup.dev.color, height: 4 }}
+            />
+            <span style={{ color: "#E6EDF3", minWidth: 54 }}>
+              {sup.dev.fmt(device.value)}
+            </span>
+          </label>
+        )}
+      </div>
+      {sup && (
+        <div style={{ paddingLeft: 66, marginTop: 4 }}>
+          <div style={{ lineHeight: 1.5 }}>{sup.dev.note}</div>
+          <div style={{ color: sup.dev.color, margin: "2px 0" }}>
+            PVA {delta((100 * (sup.en.PVA - en.PVA)) / en.PVA, 0)}% · LVEDP{" "}
+            {delta(sup.beat.LVEDP - beat.LVEDP, 1)} mmHg ·{" "}
+            {valveOpen(sup.beat.ev)}
+          </div>
+          <BeforeAfter
+            heads={[
+              ["Unsupported", color],
+              [sup.dev.label, sup.dev.color],
+            ]}
+            rows={SUP_METRICS.map(({ of, ...m }) => ({
+              ...m,
+              before: of(beat, HR, en),
+              after: of(sup.beat, HR, sup.en),
+            }))}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
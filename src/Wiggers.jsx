@@ -0,0 +1,323 @@
+// ═══════════════════════════════════════════════════════════════════
+// WIGGERS DIAGRAM — the beat on show against time
+//
+// Repeated for a few cycles: schematic ECG and heart sounds, LV/aortic/LA
+// pressure, LV volume, and the valve events that split the loop into
+// phases a–d. The cursor is shared with a dot running round the loop.
+// ═══════════════════════════════════════════════════════════════════
+
+import React from "react";
+import { atrialActivation, DT } from "./model.js";
+import { PANEL, ROW, toggle, PanelLabel } from "./ui.jsx";
+
+const WIG_W = 540; // as wide as the PV chart
+const WIG_H = 262;
+const WIG_PD = { t: 6, r: 22, b: 16, l: 56 };
+export const VALVES = [
+  { key: "mc", label: "MC", title: "mitral valve closes" },
+  { key: "ao", label: "AO", title: "aortic valve opens" },
+  { key: "ac", label: "AC", title: "aortic valve closes" },
+  { key: "mo", label: "MO", title: "mitral valve opens" },
+];
+
+// Sample index of each valve event (-1 if it does not occur). The mitral
+// valve closes once LV pressure first rises above LA pressure.
+export function valveEvents(beat) {
+  return {
+    mc: beat.P.findIndex((p, i) => p > beat.Pla[i]),
+    ao: beat.ev.avo,
+    ac: beat.ev.avc,
+    mo: beat.ev.mvo,
+  };
+}
+
+// Schematic ECG (mV): P wave with atrial activation, QRS at the onset of
+// ventricular activation, T wave toward end-systole
+function ecg(t, T, tEs) {
+  const g = (c, w) => Math.exp(-(((t - c) / w) ** 2));
+  return (
+    0.15 * atrialActivation(t, T) -
+    0.1 * g(0.004, 0.006) +
+    g(0.018, 0.008) -
+    0.25 * g(0.032, 0.006) +
+    0.3 * g(tEs, 0.05)
+  );
+}
+
+export function Wiggers({ beat, cycles, cursor, color, onCursor }) {
+  const n = beat.t.length;
+  const T = n * DT;
+  const span = cycles * T;
+  const gw = WIG_W - WIG_PD.l - WIG_PD.r;
+  const x = (t) => WIG_PD.l + (t / span) * gw;
+  const pMax = Math.ceil(Math.max(...beat.P, ...beat.Pao) / 50) * 50;
+  const vLo = Math.floor(Math.min(...beat.V) / 10) * 10;
+  const vHi = Math.max(Math.ceil(Math.max(...beat.V) / 10) * 10, vLo + 20);
+  // Rows: ECG and sounds, pressure, volume
+  const ey = (mv) => WIG_PD.t + 24 - mv * 16;
+  const sy = WIG_PD.t + 40;
+  const py = (p) => 176 - (p / pMax) * 112;
+  const vy = (v) => WIG_H - WIG_PD.b - ((v - vLo) / (vHi - vLo)) * 58;
+  const skip = Math.max(1, Math.round(n / 240));
+  const trace = (f, y) => {
+    const pts = [];
+    for (let k = 0; k < cycles; k++)
+      for (let i = 0; i < n; i += skip)
+        pts.push(`${x(k * T + i * DT).toFixed(1)},${y(f(i)).toFixed(1)}`);
+    return pts.join(" ");
+  };
+  const tEs = beat.ev.es * DT;
+  const ev = valveEvents(beat);
+  const at = [...Array(cycles).keys()];
+  const phases = [
+    { key: "a", from: ev.mo, to: n },
+    { key: "b", from: ev.mc, to: ev.ao },
+    { key: "c", from: ev.ao, to: ev.ac },
+    { key: "d", from: ev.ac, to: ev.mo },
+  ].filter((q) => q.from >= 0 && q.to > q.from);
+  const ci = Math.min(n - 1, Math.floor((cursor % T) / DT));
+  const move = (e) => {
+    const r = e.currentTarget.getBoundingClientRect();
+    const sx = ((e.clientX - r.left) / r.width) * WIG_W;
+    onCursor(Math.min(Math.max((sx - WIG_PD.l) / gw, 0), 1) * span);
+  };
+  const axisLabel = (y, text) => (
+    <text
+      x={WIG_PD.l - 8}
+      y={y + 3}
+      textAnchor="end"
+      fill="#484F58"
+      fontSize={9}
+      fontFamily="inherit"
+    >
+      {text}
+    </text>
+  );
+  return (
+    <svg
+      viewBox={`0 0 ${WIG_W} ${WIG_H}`}
+      onMouseMove={move}
+      style={{ width: "100%", height: "auto", display: "block" }}
+    >
+      {axisLabel(ey(0), "ECG")}
+      {axisLabel(py(pMax), pMax)}
+      {axisLabel(py(pMax / 2), pMax / 2)}
+      {axisLabel(py(0), "0 mmHg")}
+      {axisLabel(vy(vHi), vHi)}
+      {axisLabel(vy(vLo), `${vLo} mL`)}
+      {[py(0), vy(vLo)].map((y) => (
+        <line
+          key={y}
+          x1={WIG_PD.l}
+          y1={y}
+          x2={WIG_W - WIG_PD.r}
+          y2={y}
+          stroke="#30363D"
+          strokeWidth={1}
+        />
+      ))}
+
+      {/* Valve events, with S1 at mitral and S2 at aortic closure */}
+      {at.map((k) =>
+        VALVES.map(({ key, label, title }) => {
+          if (ev[key] < 0) return null;
+          const ex = x(k * T + ev[key] * DT);
+          const sound = key === "mc" ? "S1" : key === "ac" ? "S2" : null;
+          return (
+            <g key={`${k}${key}`}>
+              <title>{title}</title>
+              <line
+                x1={ex}
+                y1={py(pMax)}
+                x2={ex}
+                y2={vy(vLo)}
+                stroke="#484F58"
+                strokeWidth={1}
+                strokeDasharray="2,3"
+              />
+              <text
+                x={ex}
+                y={py(pMax) - 4}
+                textAnchor="middle"
+                fill="#8B949E"
+                fontSize={8}
+                fontFamily="inherit"
+              >
+                {label}
+              </text>
+              {sound && (
+                <>
+                  {[-4, -2, 0, 2, 4].map((d) => (
+                    <line
+                      key={d}
+                      x1={ex + d}
+                      y1={sy - (d % 4 ? 3 : 5)}
+                      x2={ex + d}
+                      y2={sy + (d % 4 ? 3 : 5)}
+                      stroke="#E3B341"
+                      strokeWidth={1}
+                    />
+                  ))}
+                  <text
+                    x={ex + 7}
+                    y={sy + 3}
+                    fill="#E3B341"
+                    fontSize={8}
+                    fontFamily="inherit"
+                  >
+                    {sound}
+                  </text>
+                </>
+              )}
+            </g>
+          );
+        })
+      )}
+      {at.map((k) =>
+        phases.map((q) => (
+          <text
+            key={`${k}${q.key}`}
+            x={x(k * T + ((q.from + q.to) / 2) * DT)}
+            y={vy(vLo) - 4}
+            textAnchor="middle"
+            fill="#484F58"
+            fontSize={9}
+            fontFamily="inherit"
+          >
+            {q.key}
+          </text>
+        ))
+      )}
+
+      <polyline
+        points={trace((i) => ecg(i * DT, T, tEs), ey)}
+        fill="none"
+        stroke="#3FB950"
+        strokeWidth={1.2}
+      />
+      <polyline
+        points={trace((i) => beat.Pla[i], py)}
+        fill="none"
+        stroke="#79C0FF"
+        strokeWidth={1.2}
+      />
+      <polyline
+        points={trace((i) => beat.Pao[i], py)}
+        fill="none"
+        stroke="#E6EDF3"
+        strokeWidth={1.2}
+        strokeDasharray="5,3"
+      />
+      <polyline
+        points={trace((i) => beat.P[i], py)}
+        fill="none"
+        stroke={color}
+        strokeWidth={1.8}
+      />
+      <polyline
+        points={trace((i) => beat.V[i], vy)}
+        fill="none"
+        stroke={color}
+        strokeWidth={1.8}
+      />
+      {[
+        { label: "LV", color },
+        { label: "Ao", color: "#E6EDF3" },
+        { label: "LA", color: "#79C0FF" },
+      ].map((l, i) => (
+        <text
+          key={l.label}
+          x={WIG_W - WIG_PD.r - 60 + 22 * i}
+          y={py(pMax) + 10}
+          fill={l.color}
+          fontSize={9}
+          fontFamily="inherit"
+        >
+          {l.label}
+        </text>
+      ))}
+      <text
+        x={WIG_W - WIG_PD.r - 16}
+        y={vy(vHi) + 10}
+        fill={color}
+        fontSize={9}
+        fontFamily="inherit"
+      >
+        V
+      </text>
+
+      {/* Cursor, shared with the dot on the PV loop */}
+      <line
+        x1={x(cursor)}
+        y1={WIG_PD.t}
+        x2={x(cursor)}
+        y2={vy(vLo)}
+        stroke="#E6EDF3"
+        strokeWidth={1}
+        opacity={0.5}
+      />
+      <circle cx={x(cursor)} cy={py(beat.P[ci])} r={3.5} fill="#E6EDF3" />
+      <circle cx={x(cursor)} cy={vy(beat.V[ci])} r={3.5} fill="#E6EDF3" />
+    </svg>
+  );
+}
+
+// The diagram with its cycle count and playback speed. cursor: time into
+// the traces (s); scrubbing pauses playback.
+const RATES = [
+  { rate: 0, label: "❚❚" },
+  { rate: 0.25, label: "¼×" },
+  { rate: 1, label: "1×" },
+];
+export function WiggersPanel({
+  beat,
+  color,
+  cycles,
+  onCycles,
+  rate,
+  onRate,
+  cursor,
+  onScrub,
+}) {
+  const n = beat.t.length;
+  const i = Math.min(n - 1, Math.floor((cursor % (n * DT)) / DT));
+  return (
+    <div style={PANEL}>
+      <div style={ROW}>
+        <PanelLabel>Wiggers</PanelLabel>
+        {[1, 2, 3].map((k) => (
+          <button
+            key={k}
+            onClick={() => onCycles(k)}
+            style={toggle(cycles === k, null, "#484F58")}
+          >
+            {k} cycle{k > 1 ? "s" : ""}
+          </button>
+        ))}
+        {RATES.map((r) => (
+          <button
+            key={r.rate}
+            onClick={() => onRate(r.rate)}
+            style={toggle(rate === r.rate, null, "#484F58")}
+          >
+            {r.label}
+          </button>
+        ))}
+        <span>
+          t = {(cursor % (n * DT)).toFixed(2)} s · V {beat.V[i].toFixed(0)} mL ·
+          P {beat.P[i].toFixed(0)} mmHg — hover to scrub
+        </span>
+      </div>
+      <Wiggers
+        beat={beat}
+        cycles={cycles}
+        cursor={cursor}
+        color={color}
+        onCursor={(t) => {
+          onRate(0);
+          onScrub(t);
+        }}
+      />
+    </div>
+  );
+}
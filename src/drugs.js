@@ -0,0 +1,138 @@
+// ═══════════════════════════════════════════════════════════════════
+// DRUGS — dose-dependent effects stacked on a scenario
+//
+// Each drug declares its effect at saturation as a fractional change in
+// the model inputs (Ees, Ea, EDV — venous volume, α, HR). A dose d gives
+//   E(d) = Emax × d / (d + EC50)
+// and drugs combine by multiplying their factors (1 + E), so two
+// vasodilators add up less than their sum and opposing drugs cancel.
+// The profiles are teaching approximations, not pharmacology.
+// ═══════════════════════════════════════════════════════════════════
+
+export const DRUGS = {
+  dobutamine: {
+    label: "Dobutamine",
+    unit: "µg/kg/min",
+    max: 20,
+    step: 0.5,
+    ec50: 5,
+    color: "#BC8CFF",
+    effects: { Ees: 0.8, Ea: -0.1, HR: 0.25 },
+    note: "β1 agonist: the ESPVR steepens and HR rises; mild β2 vasodilation trims Ea.",
+  },
+  milrinone: {
+    label: "Milrinone",
+    unit: "µg/kg/min",
+    max: 0.75,
+    step: 0.025,
+    digits: 3,
+    ec50: 0.375,
+    color: "#D2A8FF",
+    effects: { Ees: 0.5, Ea: -0.25, alpha: -0.1, HR: 0.1 },
+    note: "PDE3 inhibitor, an inodilator: contractility up, afterload down, and faster relaxation flattens the EDPVR a little.",
+  },
+  norepinephrine: {
+    label: "Norepinephrine",
+    unit: "µg/kg/min",
+    max: 1,
+    step: 0.02,
+    digits: 2,
+    ec50: 0.15,
+    color: "#F85149",
+    effects: { Ea: 0.7, Ees: 0.2, EDV: 0.1, HR: 0.05 },
+    note: "α1 ≫ β1: arterial constriction raises Ea and ESP; venoconstriction moves blood toward the heart.",
+  },
+  nitroprusside: {
+    label: "Nitroprusside",
+    unit: "µg/kg/min",
+    max: 5,
+    step: 0.1,
+    ec50: 1,
+    color: "#3FB950",
+    effects: { Ea: -0.4, EDV: -0.12 },
+    note: "Balanced arterial and venous dilator — mostly afterload: the loop widens at a lower ESP.",
+  },
+  nitroglycerin: {
+    label: "Nitroglycerin",
+    unit: "µg/min",
+    max: 200,
+    step: 5,
+    digits: 0,
+    ec50: 50,
+    color: "#56D364",
+    effects: { EDV: -0.2, Ea: -0.1 },
+    note: "Mostly a venodilator: preload and LVEDP fall, with a small arterial effect.",
+  },
+  furosemide: {
+    label: "Furosemide",
+    unit: "mg IV",
+    max: 200,
+    step: 10,
+    digits: 0,
+    ec50: 40,
+    color: "#E3B341",
+    effects: { EDV: -0.2 },
+    note: "Loop diuretic: volume off, so the loop slides left down the EDPVR — a pure preload move.",
+  },
+  metoprolol: {
+    label: "Metoprolol",
+    unit: "mg IV",
+    max: 15,
+    step: 1,
+    digits: 0,
+    ec50: 5,
+    color: "#79C0FF",
+    effects: { HR: -0.35, Ees: -0.25 },
+    note: "β-blocker: HR and contractility fall. In HFrEF the lost inotropy shows at once; the benefit is long-term.",
+  },
+  fluid: {
+    label: "IV fluid",
+    unit: "mL",
+    max: 2000,
+    step: 100,
+    digits: 0,
+    ec50: 1000,
+    color: "#1F6FEB",
+    effects: { EDV: 0.4 },
+    note: "Volume in: the loop slides right along the ESPVR. Each bolus fills less than the last.",
+  },
+};
+
+export const DRUG_PARAMS = ["Ees", "Ea", "EDV", "alpha", "HR"];
+
+// Fractional change in each input for one drug at dose d
+export function drugEffect(key, d) {
+  const drug = DRUGS[key];
+  const f = d > 0 ? d / (d + drug.ec50) : 0;
+  const out = {};
+  for (const [k, e] of Object.entries(drug.effects)) out[k] = e * f;
+  return out;
+}
+
+export function isDosed(doses) {
+  return Object.keys(DRUGS).some((k) => doses[k] > 0);
+}
+
+// params with every dosed drug applied; limits: { key: [min, max] }
+// keeps the result inside the range the app can draw
+export function applyDrugs(params, doses, limits = {}) {
+  const out = { ...params };
+  for (const k of Object.keys(DRUGS)) {
+    if (!(doses[k] > 0)) continue;
+    for (const [p, e] of Object.entries(drugEffect(k, doses[k])))
+      out[p] *= 1 + e;
+  }
+  for (const p of DRUG_PARAMS) {
+    const [lo, hi] = limits[p] || [-Infinity, Infinity];
+    out[p] = Math.min(hi, Math.max(lo, out[p]));
+  }
+  return out;
+}
+
+// "Dobutamine 5 µg/kg/min + Furosemide 40 mg IV", or "" with nothing dosed
+export function regimen(doses) {
+  return Object.entries(DRUGS)
+    .filter(([k]) => doses[k] > 0)
+    .map(([k, d]) => `${d.label} ${doses[k]} ${d.unit}`)
+    .join(" + ");
+}
@@ -0,0 +1,66 @@
+// ═══════════════════════════════════════════════════════════════════
+// MYOCARDIAL ENERGETICS (Suga)
+//
+// SW:   stroke work = area inside the PV loop
+// PE:   potential energy = area under ESPVR, left of the loop, above EDPVR
+// PVA:  pressure–volume area = SW + PE
+// VO2:  per beat = a × PVA + b × Ees + c   (PVA–VO2 relation; b×Ees is
+//       excitation–contraction coupling, c is basal metabolism)
+// Efficiency = SW / (VO2 × 20 J/mL O2)
+// ═══════════════════════════════════════════════════════════════════
+
+export const MMHG_ML_J = 1.333e-4; // 1 mmHg·mL in joules
+const J_PER_ML_O2 = 20;
+const VO2_A = 1.8e-5, // mL O2 per mmHg·mL of PVA
+  VO2_B = 0.0012, // mL O2 per beat per mmHg/mL of Ees
+  VO2_C = 0.004; // mL O2 per beat
+
+// Shoelace area of the closed loop (mmHg·mL)
+export function loopArea(V, P) {
+  let a = 0;
+  for (let i = 0, j = V.length - 1; i < V.length; j = i++)
+    a += V[j] * P[i] - V[i] * P[j];
+  return Math.abs(a) / 2;
+}
+
+// Triangle under ESPVR from V0 to the end-systolic point, minus the EDPVR
+// area over the same span — the elastic energy left at end-systole.
+export function potentialEnergy(es, p) {
+  const edArea = (v) => p.A * ((Math.exp(p.alpha * v) - 1) / p.alpha - v);
+  const span = Math.max(es.V - p.V0, 0);
+  return Math.max(
+    0.5 * es.P * span - (edArea(es.V) - edArea(Math.min(p.V0, es.V))),
+    0
+  );
+}
+
+// p: { Ees, V0, A, alpha, HR }   es: end-systolic { V, P }
+export function energetics(beat, es, p) {
+  const SW = loopArea(beat.V, beat.P);
+  const PE = potentialEnergy(es, p);
+  const PVA = SW + PE;
+  const vo2Beat = VO2_A * PVA + VO2_B * p.Ees + VO2_C;
+  return {
+    SW,
+    PE,
+    PVA,
+    workEff: PVA > 0 ? SW / PVA : 0,
+    MVO2: vo2Beat * p.HR, // mL O2/min
+    efficiency: (SW * MMHG_ML_J) / (vo2Beat * J_PER_ML_O2),
+  };
+}
+
+// Outline of the PE region for shading: ESPVR up to the end-systolic point,
+// down the relaxation limb of the loop, back along EDPVR to V0.
+export function peOutline(beat, p) {
+  const { es, mvo } = beat.ev;
+  const pts = [[p.V0, 0]];
+  const end = mvo > es ? mvo : es;
+  for (let i = es; i <= end; i += 4) pts.push([beat.V[i], beat.P[i]]);
+  const vEnd = beat.V[end];
+  for (let k = 10; k >= 0; k--) {
+    const v = p.V0 + ((vEnd - p.V0) * k) / 10;
+    pts.push([v, p.A * (Math.exp(p.alpha * v) - 1)]);
+  }
+  return pts;
+}
@@ -0,0 +1,79 @@
+// ═══════════════════════════════════════════════════════════════════
+// PARAMETER ESTIMATION from clinical hemodynamics (echo / cath)
+//
+// ESP:  measured, or 0.9 × cuff systolic pressure (Kelly)
+// Ea:   ESP / SV
+// Ees:  ESP / (ESV − V0) at the simulator's V0 — computeState run backwards
+// Ees(sb): Chen single-beat method (JACC 2001) from cuff SBP/DBP, EF, SV
+//       and tNd, the pre-ejection / total systolic time ratio. Its ESPVR
+//       through the end-systolic point crosses zero at ESV − ESP / Ees(sb),
+//       the estimate of V0. With opts.chen the fit takes both; V0 is held
+//       to V0_RANGE (and below ESV), Ees then re-solved through the point.
+// α:    EDPVR P = A × (e^(α×V) − 1) through (EDV, LVEDP) at the simulator's A
+// ═══════════════════════════════════════════════════════════════════
+
+// Group-averaged normalized elastance at tNd, polynomial in tNd (Chen)
+const END_AVG = [
+  0.35695, -7.2266, 74.249, -307.39, 684.54, -856.92, 571.95, -159.1,
+];
+export const TND_DEFAULT = 0.22;
+export const V0_RANGE = [-50, 150]; // mL
+
+// m: { EDV, ESV?, EF? (%), SBP?, DBP?, ESP?, LVEDP, HR?, tNd? }
+// Fills ESV from EF (or EF from ESV) and ESP from SBP; throws Error when
+// the loop cannot be pinned down.
+export function completeMeasures(m) {
+  const { EDV, LVEDP } = m;
+  if (!(EDV > 0)) throw new Error("EDV is required");
+  if (!(LVEDP > 0)) throw new Error("LVEDP is required");
+  let ESV = m.ESV;
+  if (!(ESV > 0) && m.EF > 0) ESV = EDV * (1 - m.EF / 100);
+  if (!(ESV > 0)) throw new Error("ESV or EF is required");
+  if (ESV >= EDV) throw new Error("ESV must be below EDV");
+  const ESP = m.ESP > 0 ? m.ESP : m.SBP > 0 ? 0.9 * m.SBP : NaN;
+  if (!(ESP > 0)) throw new Error("ESP or systolic BP is required");
+  const SV = EDV - ESV;
+  const EF = m.EF > 0 ? m.EF : (SV / EDV) * 100;
+  return { ...m, EDV, ESV, SV, EF, ESP, LVEDP };
+}
+
+// Chen single-beat Ees from cuff pressures; EF in %
+export function chenEes({ SBP, DBP, EF, SV, tNd = TND_DEFAULT }) {
+  const ENdAvg = END_AVG.reduce((s, a, i) => s + a * tNd ** i, 0);
+  const ENd =
+    0.0275 - 0.165 * (EF / 100) + 0.3656 * (DBP / SBP) + 0.515 * ENdAvg;
+  return { Ees: (DBP - ENd * SBP * 0.9) / (ENd * SV), ENd };
+}
+
+// model: { V0, A } — the simulator's ESPVR intercept and EDPVR scale.
+// opts.chen: fit Ees and V0 by the single-beat method (needs SBP and DBP).
+// Returns the completed measurements and the fitted parameters with the V0
+// they use; chen is null without both cuff pressures.
+export function estimate(m, { V0, A }, { chen: single = false } = {}) {
+  const meas = completeMeasures(m);
+  const { EDV, ESV, SV, ESP, LVEDP } = meas;
+  let chen = null;
+  if (m.SBP > 0 && m.DBP > 0) {
+    const sb = chenEes({ ...meas, SBP: m.SBP, DBP: m.DBP });
+    // Volume intercept of the ESPVR through the end-systolic point at the
+    // Chen slope
+    chen = { ...sb, V0: ESV - ESP / sb.Ees };
+  }
+  if (single && !chen)
+    throw new Error("Single-beat Ees needs both SBP and DBP");
+  if (single && !(chen.Ees > 0))
+    throw new Error("Single-beat Ees is not positive for these pressures");
+  let v0 = V0;
+  if (single) {
+    const [lo, hi] = V0_RANGE;
+    v0 = Math.min(Math.max(chen.V0, lo), hi, ESV - 5);
+  } else if (ESV <= V0) throw new Error(`ESV must exceed V0 (${V0} mL)`);
+  return {
+    meas,
+    Ees: ESP / (ESV - v0),
+    V0: v0,
+    Ea: ESP / SV,
+    alpha: Math.log(LVEDP / A + 1) / EDV,
+    chen,
+  };
+}
@@ -0,0 +1,62 @@
+// ═══════════════════════════════════════════════════════════════════
+// PREDICT-THEN-REVEAL — one cf025 slider move from Normal
+//
+// The student calls the direction of each readout (up, down or same)
+// before the move plays out; the answer is the manual-mode state before
+// and after. A change under SAME_TOL of the starting value counts as same.
+// ═══════════════════════════════════════════════════════════════════
+
+export const SAME_TOL = 0.005;
+export const READOUTS = ["EDV", "ESV", "SV", "EF", "ESP", "LVEDP"];
+export const DIRECTIONS = [
+  { key: "up", label: "↑" },
+  { key: "same", label: "—" },
+  { key: "down", label: "↓" },
+];
+
+// Sliders an exercise may move, with the cf025 reading of each
+export const MOVES = {
+  Ees: "Contractility rotates the ESPVR about V0. ESP is held, so ESV moves along it; EDV and LVEDP stay — only the left side of the loop moves.",
+  EDV: "Preload moves the right side out along the EDPVR, so LVEDP rises. With Ea unchanged the end-systolic point climbs the same ESPVR (Starling): ESV, SV and ESP all rise.",
+  Ea: "Afterload steepens the Ea line from EDV, so it meets the ESPVR higher: ESP and ESV rise, SV and EF fall, EDV is untouched.",
+  alpha:
+    "Stiffness steepens the EDPVR: at the same filling pressure (LVEDP) the ventricle fills to a smaller EDV. ESP is held, so ESV stays and SV falls.",
+  HR: "Heart rate leaves the loop where it is — only CO = SV × HR (and SVR) change.",
+};
+
+// Proposed move of one slider from start. sliders: [{ key, min, max, step }];
+// prev: last slider moved, not repeated.
+export function makeExercise(start, sliders, prev) {
+  const pool = sliders.filter((s) => MOVES[s.key] && s.key !== prev);
+  const s = pool[Math.floor(Math.random() * pool.length)];
+  const from = start[s.key];
+  const sizes = [0.25, -0.25, 0.5, -0.5].sort(() => Math.random() - 0.5);
+  let to = from;
+  for (const f of sizes) {
+    to = Math.round((from * (1 + f)) / s.step) * s.step;
+    to = +Math.min(s.max, Math.max(s.min, to)).toFixed(4);
+    if (Math.abs(to - from) > s.step / 2) break;
+  }
+  return { key: s.key, from, to, pred: {}, result: null };
+}
+
+export function direction(before, after) {
+  if (Math.abs(after - before) <= SAME_TOL * Math.abs(before)) return "same";
+  return after > before ? "up" : "down";
+}
+
+// pred: { EDV: "up", … }; before/after: computed states
+export function gradeExercise(pred, before, after) {
+  const rows = READOUTS.map((k) => {
+    const truth = direction(before[k], after[k]);
+    return {
+      key: k,
+      before: before[k],
+      after: after[k],
+      pred: pred[k],
+      truth,
+      ok: pred[k] === truth,
+    };
+  });
+  return { rows, score: rows.filter((r) => r.ok).length };
+}
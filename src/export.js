@@ -0,0 +1,152 @@
+// ═══════════════════════════════════════════════════════════════════
+// EXPORT — chart as SVG/PNG, loop and metrics as CSV/JSON
+//
+// Every file carries the same metadata (scenario, step, parameters) so a
+// figure can be traced back to, and rebuilt from, the settings behind it:
+//   SVG:  <metadata> element      PNG:  tEXt chunk
+//   CSV:  "# key: value" lines    JSON: "meta" field
+// No timestamps — the same state always exports the same bytes.
+// ═══════════════════════════════════════════════════════════════════
+
+export const META_KEY = "pv-loop";
+
+// JSON kept to ASCII so it fits a PNG tEXt chunk as-is
+function metaJSON(meta) {
+  return JSON.stringify(meta).replace(
+    /[\u0080-\uffff]/g,
+    (c) => "\\u" + c.charCodeAt(0).toString(16).padStart(4, "0")
+  );
+}
+
+// Standalone copy of the live chart: explicit size, background and font
+// (the page supplies those through CSS), metadata up front.
+export function svgDocument(svg, { meta, font, background, width, height }) {
+  const node = svg.cloneNode(true);
+  node.setAttribute("width", width);
+  node.setAttribute("height", height);
+  node.removeAttribute("style");
+  node.setAttribute("font-family", font);
+  for (const el of node.querySelectorAll("[font-family=inherit]"))
+    el.removeAttribute("font-family");
+  const doc = node.ownerDocument;
+  const md = doc.createElementNS("http://www.w3.org/2000/svg", "metadata");
+  md.textContent = metaJSON(meta);
+  const bg = doc.createElementNS("http://www.w3.org/2000/svg", "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", background);
+  node.insertBefore(bg, node.firstChild);
+  node.insertBefore(md, node.firstChild);
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    new XMLSerializer().serializeToString(node)
+  );
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Insert a tEXt chunk right after IHDR (8-byte signature + 25-byte IHDR)
+export function pngWithText(buf, key, text) {
+  const src = new Uint8Array(buf);
+  const data = new TextEncoder().encode(`${key}\0${text}`);
+  const chunk = new Uint8Array(12 + data.length);
+  const dv = new DataView(chunk.buffer);
+  dv.setUint32(0, data.length);
+  chunk.set(new TextEncoder().encode("tEXt"), 4);
+  chunk.set(data, 8);
+  dv.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  const at = 33;
+  const out = new Uint8Array(src.length + chunk.length);
+  out.set(src.subarray(0, at));
+  out.set(chunk, at);
+  out.set(src.subarray(at), at + chunk.length);
+  return out;
+}
+
+// Rasterize the standalone SVG at scale× its size; resolves to a PNG Blob
+export function svgToPng(svgText, { width, height, scale, meta }) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(
+      new Blob([svgText], { type: "image/svg+xml" })
+    );
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (!blob) return reject(new Error("PNG encoding failed"));
+        blob
+          .arrayBuffer()
+          .then((buf) =>
+            resolve(
+              new Blob([pngWithText(buf, META_KEY, metaJSON(meta))], {
+                type: "image/png",
+              })
+            )
+          )
+          .catch((err) =>
+            reject(new Error(`PNG encoding failed (${err.message})`))
+          );
+      }, "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render the chart"));
+    };
+    img.src = url;
+  });
+}
+
+// samples: [{ t, V, P }]; metrics: { EDV, ESV, ... }. Header lines start
+// with "#", which the CSV importer skips, so an export reads back in.
+export function loopCSV(samples, metrics, meta) {
+  const head = [`# ${META_KEY} ${metaJSON(meta)}`];
+  for (const [k, v] of Object.entries(metrics))
+    head.push(`# ${k}: ${+v.toFixed(3)}`);
+  const rows = samples.map(
+    (q) => `${q.t.toFixed(4)},${q.P.toFixed(2)},${q.V.toFixed(2)}`
+  );
+  return [...head, "time_s,pressure_mmHg,volume_mL", ...rows, ""].join("\n");
+}
+
+export function loopJSON(samples, metrics, meta) {
+  return (
+    JSON.stringify(
+      {
+        meta,
+        metrics,
+        loop: {
+          t: samples.map((q) => +q.t.toFixed(4)),
+          P: samples.map((q) => +q.P.toFixed(2)),
+          V: samples.map((q) => +q.V.toFixed(2)),
+        },
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+export function download(name, data, type) {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
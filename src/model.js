@@ -0,0 +1,499 @@
+// ═══════════════════════════════════════════════════════════════════
+// TIME-VARYING ELASTANCE MODEL (Suga & Sagawa) — CLOSED LOOP
+//
+// LV:       P(t) = e(t)·Ees·(V − V0) + (1 − e(t))·A·(e^(α×V) − 1)
+// e(t):     activation, 0 in diastole → 1 at end-systole → 0; sympathetic
+//           drive (p.sym, 0–1) shortens contraction and relaxation
+// Ejection: aortic flow (P − Pc)/(Rav + Zc) while P > Pc; a stenotic valve
+//           (AVA, cm²) adds an orifice drop ΔP = (Q / (50 × AVA))² in series
+// Arteries: 3-element Windkessel — Zc (characteristic impedance),
+//           C (total compliance), R (peripheral resistance)
+//           Aortic pressure = Pc + Zc × aortic flow
+// Veins:    reservoir Pv = Vv/Cv, refilled by peripheral runoff (Pc − Pv)/R
+// LA:       Pla = Ela(t)·(Vla − V0la), passive Ep with an atrial kick just
+//           before ventricular systole; filled from the veins through Rvr
+// Filling:  mitral flow (Pla − P)/Rmv while P < Pla; a stenotic valve
+//           (MVA, cm²) adds the same orifice term as the aortic valve
+// Leaks:    regurgitant orifices (EROA, cm²) — MR: LV → LA while P > Pla,
+//           AR: aorta → LV while Pc > P. MR removes isovolumic contraction,
+//           AR removes isovolumic relaxation.
+// RV:       optional (p.rv) — same elastance law, filled from the systemic
+//           veins through the tricuspid, ejecting into a pulmonary
+//           Windkessel whose runoff collects in the pulmonary veins that
+//           feed the LA. The ventricles interact through the septum, a
+//           spring between the two free walls, and a shared pericardium.
+// Support:  optional (p.device) — an LVAD or Impella pumps LV → aorta all
+//           cycle along a linear head–flow curve, Q = (H − (Pc − P))/Rp,
+//           so the loop loses its isovolumic limbs; an IABP fills its
+//           balloon in the aorta from valve closure and empties it just
+//           before the next systole (counterpulsation).
+//
+// Blood volume is conserved around the loop. Ea is not an input here:
+// it falls out of the Windkessel as ESP/SV.
+// The loop is integrated over the cycle (forward Euler, DT) — its shape
+// emerges from E(t) and the load, not from drawn segments.
+// ═══════════════════════════════════════════════════════════════════
+
+export const DT = 0.0005; // s
+export const HR_REF = 75; // bpm
+
+// Default arterial/venous load (mmHg·s/mL, mL/mmHg)
+export const WK = { Zc: 0.04, C: 1.5, Cv: 50 };
+
+const RMV = 0.005, // mmHg·s/mL
+  RAV = 0.006,
+  RVR = 0.01;
+
+// Left atrium: elastances in mmHg/mL, unstressed volume in mL
+export const LA = { Ep: 0.2, Emax: 0.5, V0: 15 };
+
+// Right heart (biventricular runs): RV chamber defaults, pulmonary
+// Windkessel + venous pool, septal elastance (systole/diastole) and the
+// pericardial pressure–volume curve over the summed ventricular volume
+export const RV = { Ees: 0.35, V0: 10, A: 0.3, alpha: 0.02 };
+export const PULM = { Zc: 0.02, C: 4, R: 0.08, Cpv: 10 };
+const SEPTUM = { Es: 20, Ed: 0.5 },
+  PERI = { P0: 0.5, k: 0.03, V0: 240 },
+  RTV = 0.004,
+  RPV = 0.004;
+
+// Mechanical support. Pump heads (mmHg) and internal resistances
+// (mmHg·s/mL) are rough fits to published H–Q curves: a centrifugal LVAD
+// makes ~5 L/min against 80 mmHg at 5400 rpm, head ∝ speed²; an Impella
+// ~3.5 L/min against 60 mmHg at P-8, head ∝ P-level. The IABP balloon
+// inflates over Ti after aortic valve closure and is empty by `lead`
+// before the next systole.
+export const LVAD = { rpm: 5400, H: 150, Rp: 0.9 };
+export const IMPELLA = { H: 21, Rp: 1.9 };
+export const IABP = { Ti: 0.06, lead: 0.02 };
+
+// Pump flow LV → aorta (mL/s), none backwards; it fades out as the LV
+// nears its unstressed volume (suction).
+function pumpFlow(d, V, P, Pc, V0) {
+  const { H, Rp } =
+    d.type === "lvad"
+      ? { H: LVAD.H * (d.rpm / LVAD.rpm) ** 2, Rp: LVAD.Rp }
+      : { H: IMPELLA.H * d.level, Rp: IMPELLA.Rp };
+  const suction = Math.min(1, Math.max(0, (V - V0 - 5) / 15));
+  return (Math.max(0, H - (Pc - P)) / Rp) * suction;
+}
+
+// Balloon volume at time t of a cycle of length T, inflation starting at
+// tIn (the dicrotic notch)
+function balloonVolume(t, tIn, T, Vb) {
+  const up = (t - tIn) / IABP.Ti;
+  const down = (T - IABP.lead - t) / IABP.Ti;
+  return Vb * Math.min(1, Math.max(0, Math.min(up, down)));
+}
+
+// Orifice flow from Bernoulli (ΔP = 4v², v in m/s): Q = EROA × 50 × √ΔP mL/s,
+// softened near ΔP = 0 so the explicit step stays stable.
+export function orificeFlow(area, dP) {
+  if (!area || dP <= 0) return 0;
+  return (area * 50 * dP) / Math.sqrt(dP + 1);
+}
+
+// Forward valve flow for a drop d across the linear resistance b in series
+// with the valve. With a stenotic area the linear and orifice terms are
+// solved together, b·Q + k·Q² = d, in the cancellation-free form of the root.
+function valveFlow(d, b, area) {
+  if (d <= 0) return 0;
+  if (!area) return d / b;
+  const k = 1 / (50 * area) ** 2;
+  return (2 * d) / (b + Math.sqrt(b * b + 4 * k * d));
+}
+
+// Time to end-systole (s): shortens with cycle length (T = 60/HR), and by
+// up to SYM_TES under full sympathetic drive. Contraction and relaxation
+// (1.5 Tes) take at most SYS_SHARE of the cycle, so at high rates they
+// shorten to leave the ventricle time to fill.
+export const SYM_TES = 0.3;
+const SYS_SHARE = 0.85;
+export function systoleLength(T, sym = 0) {
+  return Math.min(
+    (0.2 + 0.15 * T) * (1 - SYM_TES * sym),
+    (SYS_SHARE * T) / 1.5
+  );
+}
+
+// Raised-cosine activation: rises to 1 at Tes, relaxes over Tes/2.
+export function activation(t, T, sym = 0) {
+  const Tes = systoleLength(T, sym);
+  const Trel = Tes / 2;
+  if (t < Tes) return 0.5 * (1 - Math.cos((Math.PI * t) / Tes));
+  if (t < Tes + Trel) return 0.5 * (1 + Math.cos((Math.PI * (t - Tes)) / Trel));
+  return 0;
+}
+
+// Atrial activation: a sin² pulse over the last Ta of the cycle, ending at
+// the onset of ventricular systole. Ta shortens with cycle length.
+export function atrialActivation(t, T) {
+  const Ta = 0.1 + 0.08 * T;
+  const x = t - (T - Ta);
+  return x > 0 ? Math.sin((Math.PI * x) / Ta) ** 2 : 0;
+}
+
+export function laPressure(Vla, ea) {
+  return (ea * LA.Emax + (1 - ea) * LA.Ep) * (Vla - LA.V0);
+}
+
+export function lvPressure(V, e, p) {
+  return e * p.Ees * (V - p.V0) + (1 - e) * p.A * (Math.exp(p.alpha * V) - 1);
+}
+
+// dP/dV of lvPressure — used by the septal solve
+function stiffness(V, e, p) {
+  return e * p.Ees + (1 - e) * p.A * p.alpha * Math.exp(p.alpha * V);
+}
+
+export function pericardialPressure(Vtot) {
+  return Math.max(0, PERI.P0 * (Math.exp(PERI.k * (Vtot - PERI.V0)) - 1));
+}
+
+// Septal shift x (mL toward the RV) balancing the free walls:
+// Plv(V − x) − Prv(Vrv + x) = Es(t)·x, by Newton from the last shift.
+function septalShift(V, Vrv, x, e, p, rv) {
+  const Es = e * SEPTUM.Es + (1 - e) * SEPTUM.Ed;
+  for (let k = 0; k < 3; k++) {
+    const f = lvPressure(V - x, e, p) - lvPressure(Vrv + x, e, rv) - Es * x;
+    const df = stiffness(V - x, e, p) + stiffness(Vrv + x, e, rv) + Es;
+    x += f / df;
+  }
+  return x;
+}
+
+function track(g, dP) {
+  g.peak = Math.max(g.peak, dP);
+  g.sum += dP;
+  g.n++;
+}
+
+// One cycle from onset of systole (end-diastole) to the next.
+// p:  { Ees, V0, A, alpha, HR, R, C?, Zc?, Cv?, Rmv?, Rvr?, Rtv?,
+//       sym?, mrEROA?, arEROA?, avArea?, mvArea?, rv?: { Ees, alpha, Rp },
+//       device?: { type: "lvad", rpm } | { type: "impella", level }
+//              | { type: "iabp", Vb } }
+// s0: { V, Pc, Vv, Vla }  — LV volume, Windkessel pressure, venous and LA
+//     volume; with p.rv also { Vrv, Ppa, Vpv } — RV volume, pulmonary
+//     Windkessel pressure, pulmonary venous volume
+// Returns sampled t/V/P/Pao/Pv/Vla/Pla, indices of the valve events and
+// end-systole, per-beat volumes: vol.fwd (net aortic), vol.mr, vol.ar,
+// vol.pump (through an LVAD or Impella) in mL,
+// mean LA pressure (LAP) and the valve gradients: grad.av over ejection
+// (LV − aorta), grad.mv over filling (LA − LV), each { peak, mean } in mmHg.
+// With p.rv the beat also carries rv: { V, P, EDV, ESV, ESP, EDP } and the
+// pulmonary artery pressure pa: { sys, dia, mean }.
+// If the explicit step blows up (a non-finite volume or pressure), the beat
+// stops at the last good sample and comes back flagged diverged; its end
+// state is then not one to carry on from.
+export function simulateBeat(p, s0) {
+  const rv = p.rv && { ...RV, ...p.rv };
+  const T = 60 / (p.HR || HR_REF);
+  let n = Math.round(T / DT),
+    diverged = false;
+  const { Zc, C, Cv } = { ...WK, ...p };
+  const Rmv = p.Rmv || RMV,
+    Rvr = p.Rvr || RVR,
+    Rtv = p.Rtv || RTV;
+  const t = new Array(n),
+    Vs = new Array(n),
+    Ps = new Array(n),
+    Paos = new Array(n),
+    Pvs = new Array(n),
+    Vlas = new Array(n),
+    Plas = new Array(n),
+    Vrvs = rv ? new Array(n) : null,
+    Prvs = rv ? new Array(n) : null,
+    Ppas = rv ? new Array(n) : null;
+  const ev = { avo: -1, avc: -1, mvo: -1, es: 0 };
+  let V = s0.V,
+    Pc = s0.Pc,
+    Vv = s0.Vv,
+    Vla = s0.Vla,
+    esE = -Infinity,
+    vAv = 0,
+    vMr = 0,
+    vAr = 0,
+    vPump = 0,
+    Vb = 0,
+    av = { peak: 0, sum: 0, n: 0 },
+    mv = { peak: 0, sum: 0, n: 0 };
+  let Vrv = s0.Vrv,
+    Ppa = s0.Ppa,
+    Vpv = s0.Vpv,
+    x = 0,
+    rvEs = 0,
+    rvEsE = -Infinity;
+  for (let i = 0; i < n; i++) {
+    const e = activation(i * DT, T, p.sym);
+    let P, Prv;
+    if (rv) {
+      const Pperi = pericardialPressure(V + Vrv);
+      x = septalShift(V, Vrv, x, e, p, rv);
+      P = lvPressure(V - x, e, p) + Pperi;
+      Prv = lvPressure(Vrv + x, e, rv) + Pperi;
+    } else P = lvPressure(V, e, p);
+    const Pv = Vv / Cv;
+    const Pla = laPressure(Vla, atrialActivation(i * DT, T));
+    // LA inflow: from the pulmonary veins, or the lumped veins without an RV
+    const qvr = ((rv ? Vpv / PULM.Cpv : Pv) - Pla) / Rvr;
+    const qmv = valveFlow(Pla - P, Rmv, p.mvArea);
+    const qav = valveFlow(P - Pc, RAV + Zc, p.avArea);
+    const qp = (Pc - Pv) / p.R;
+    const qmr = orificeFlow(p.mrEROA, P - Pla);
+    const qar = orificeFlow(p.arEROA, Pc - P);
+    const dev = p.device;
+    const qpump =
+      dev && dev.type !== "iabp" ? pumpFlow(dev, V, P, Pc, p.V0) : 0;
+    const dVb =
+      dev?.type === "iabp" && ev.avc >= 0
+        ? balloonVolume((i + 1) * DT, ev.avc * DT, T, dev.Vb) - Vb
+        : 0;
+    // Right heart: tricuspid, pulmonic valve, pulmonary runoff
+    const qtv = rv ? valveFlow(Pv - Prv, Rtv) : 0;
+    const qpv = rv ? valveFlow(Prv - Ppa, RPV + PULM.Zc) : 0;
+    const qpr = rv ? (Ppa - Vpv / PULM.Cpv) / (rv.Rp || PULM.R) : 0;
+    t[i] = i * DT;
+    Vs[i] = V;
+    Ps[i] = P;
+    Paos[i] = Pc + Zc * qav;
+    Pvs[i] = Pv;
+    Vlas[i] = Vla;
+    Plas[i] = Pla;
+    if (qav > 0) track(av, P - Paos[i]);
+    if (qmv > 0) track(mv, Pla - P);
+    if (qav > 0 && ev.avo < 0) ev.avo = i;
+    if (qav === 0 && ev.avo >= 0 && ev.avc < 0) ev.avc = i;
+    if (qmv > 0 && ev.avc >= 0 && ev.mvo < 0) ev.mvo = i;
+    // End-systole: maximal P/(V − V0) ratio
+    if (ev.mvo < 0 && V - p.V0 > 1) {
+      const E = P / (V - p.V0);
+      if (E > esE) {
+        esE = E;
+        ev.es = i;
+      }
+    }
+    if (rv) {
+      Vrvs[i] = Vrv;
+      Prvs[i] = Prv;
+      Ppas[i] = Ppa + PULM.Zc * qpv;
+      if (e > 0 && Vrv - rv.V0 > 1 && Prv / (Vrv - rv.V0) > rvEsE) {
+        rvEsE = Prv / (Vrv - rv.V0);
+        rvEs = i;
+      }
+      Vrv += (qtv - qpv) * DT;
+      Ppa += ((qpv - qpr) * DT) / PULM.C;
+      Vpv += (qpr - qvr) * DT;
+    }
+    V += (qmv + qar - qav - qmr - qpump) * DT;
+    Pc += ((qav - qar - qp + qpump) * DT + dVb) / C;
+    Vb += dVb;
+    Vv += (qp - (rv ? qtv : qvr)) * DT;
+    Vla += (qvr + qmr - qmv) * DT;
+    vAv += qav * DT;
+    vMr += qmr * DT;
+    vAr += qar * DT;
+    vPump += qpump * DT;
+    if (!Number.isFinite(V + Pc + Vv + Vla + (rv ? Vrv + Ppa + Vpv : 0))) {
+      diverged = true;
+      n = i + 1;
+      break;
+    }
+  }
+  if (diverged)
+    for (const a of [t, Vs, Ps, Paos, Pvs, Vlas, Plas, Vrvs, Prvs, Ppas])
+      if (a) a.length = n;
+  let ESV = Infinity,
+    sys = -Infinity,
+    dia = Infinity,
+    sum = 0,
+    sumV = 0,
+    sumLa = 0;
+  for (let i = 0; i < n; i++) {
+    ESV = Math.min(ESV, Vs[i]);
+    sys = Math.max(sys, Paos[i]);
+    dia = Math.min(dia, Paos[i]);
+    sum += Paos[i];
+    sumV += Pvs[i];
+    sumLa += Plas[i];
+  }
+  const gradOf = (g) => ({ peak: g.peak, mean: g.n ? g.sum / g.n : 0 });
+  const right = rv && {
+    rv: {
+      V: Vrvs,
+      P: Prvs,
+      EDV: Vrvs[0],
+      ESV: Math.min(...Vrvs),
+      ESP: Prvs[rvEs],
+      EDP: Prvs[0],
+    },
+    pa: {
+      sys: Math.max(...Ppas),
+      dia: Math.min(...Ppas),
+      mean: Ppas.reduce((a, b) => a + b, 0) / n,
+    },
+  };
+  return {
+    t,
+    V: Vs,
+    P: Ps,
+    Pao: Paos,
+    Pv: Pvs,
+    Vla: Vlas,
+    Pla: Plas,
+    ev,
+    EDV: Vs[0],
+    ESV,
+    ESP: Ps[ev.es],
+    LVEDP: Ps[0],
+    ao: { sys, dia, mean: sum / n },
+    ven: { mean: sumV / n },
+    LAP: sumLa / n,
+    vol: { fwd: vAv - vAr, mr: vMr, ar: vAr, pump: vPump },
+    grad: { av: gradOf(av), mv: gradOf(mv) },
+    end: rv ? { V, Pc, Vv, Vla, Vrv, Ppa, Vpv } : { V, Pc, Vv, Vla },
+    diverged,
+    ...right,
+  };
+}
+
+// Repeat beats until the end-diastolic state stops changing.
+export function steadyState(p, s0, maxBeats = 30) {
+  let s = s0,
+    beat;
+  for (let k = 0; k < maxBeats; k++) {
+    beat = simulateBeat(p, s);
+    if (beat.diverged) break;
+    const done = Object.keys(beat.end).every(
+      (k) =>
+        Math.abs(beat.end[k] - s[k]) < (k === "V" || k === "Pc" ? 0.05 : 0.1)
+    );
+    s = beat.end;
+    if (done) break;
+  }
+  return beat;
+}
+
+// Blood volume held by state s under p (mL), unstressed volumes included
+export function bloodVolume(s, p) {
+  const { C } = { ...WK, ...p };
+  return (
+    s.V + s.Pc * C + s.Vv + s.Vla + (p.rv ? s.Vrv + s.Ppa * PULM.C + s.Vpv : 0)
+  );
+}
+
+// Beat-by-beat response to a step from p0 to p1: the last beat before the
+// step, then n beats under p1 carrying on from its end state. dV (mL) is
+// added to the veins at the step — a volume load or loss.
+export function transientRun(p0, p1, s0, n = 12, dV = 0) {
+  const beats = [simulateBeat(p0, s0)];
+  let s = { ...beats[0].end };
+  s.Vv = Math.max(0, s.Vv + dV);
+  for (let k = 0; k < n; k++) {
+    beats.push(simulateBeat(p1, s));
+    s = beats[beats.length - 1].end;
+  }
+  return beats;
+}
+
+// Vena caval occlusion: from a steady state s0, throttle venous return
+// (into the RV, or into the LA without one) and let preload fall beat by
+// beat. Returns the baseline beat followed by n occluded beats.
+export function occlusionRun(p, s0, n = 10) {
+  const q = p.rv
+    ? { ...p, Rtv: (p.Rtv || RTV) * 30 }
+    : { ...p, Rvr: (p.Rvr || RVR) * 30 };
+  const beats = [simulateBeat(p, s0)];
+  for (let k = 0; k < n; k++)
+    beats.push(simulateBeat(q, beats[beats.length - 1].end));
+  return beats;
+}
+
+// Find the blood volume and peripheral resistance whose steady-state beat
+// lands on a target EDV/ESV (as given by computeState / the pinned modes).
+// The fitted R comes back on beat.load and the volumes on beat.end, so
+// callers can run forward from them.
+// With a diseased valve (leak or stenosis) the target ESV no longer applies:
+// R is fitted for a normal valve, then only EDV is held while the lesion is
+// added.
+// With p.R given, R is held and only EDV is fitted, as with a lesion.
+// A step that diverges ends the fit on the last beat that did not.
+// Fits are kept by their inputs (the last FITS_KEPT), so a render that asks
+// again for a loop it has drawn does not refit it; callers must not
+// change the beat they get back.
+export function fitBeat(target, p) {
+  const key = JSON.stringify([target.EDV, target.ESV, target.ESP, p]);
+  if (fits.has(key)) return fits.get(key);
+  const beat = solveBeat(target, p);
+  fits.set(key, beat);
+  if (fits.size > FITS_KEPT) fits.delete(fits.keys().next().value);
+  return beat;
+}
+
+const FITS_KEPT = 64;
+const fits = new Map();
+
+function solveBeat(target, p) {
+  const lesion = p.mrEROA > 0 || p.arEROA > 0 || p.avArea > 0 || p.mvArea > 0;
+  const held = p.R != null;
+  const { EDV, ESV } = target;
+  const T = 60 / (p.HR || HR_REF);
+  const { C, Cv } = { ...WK, ...p };
+  const eaOf = (edv, esv) => (p.Ees * (esv - p.V0)) / Math.max(edv - esv, 1);
+  const total = (s) => bloodVolume(s, p);
+  const EaT = eaOf(EDV, ESV);
+  let R = held ? p.R : Math.max(EaT * T, 0.05),
+    s = {
+      V: EDV,
+      Pc: target.ESP * 0.75,
+      Vv: lvPressure(EDV, 0, p) * Cv,
+      Vla: LA.V0 + lvPressure(EDV, 0, p) / LA.Ep,
+    },
+    prev = null,
+    good = null,
+    beat;
+  if (p.rv) {
+    const rv = { ...RV, ...p.rv };
+    s.Vrv = Math.log(s.Vv / Cv / rv.A + 1) / rv.alpha;
+    s.Ppa = 15;
+    s.Vpv = (s.Vla - LA.V0) * LA.Ep * PULM.Cpv;
+  }
+  if (lesion) {
+    const tight = fitBeat(target, {
+      ...p,
+      mrEROA: 0,
+      arEROA: 0,
+      avArea: 0,
+      mvArea: 0,
+    });
+    if (tight.diverged) return tight;
+    if (!held) R = tight.load.R;
+    s = { ...tight.end };
+  }
+  for (let k = 0; k < 20; k++) {
+    const Vt = total(s);
+    beat = steadyState({ ...p, R }, s, 8);
+    beat.load = { R };
+    if (beat.diverged) return good || beat;
+    good = beat;
+    s = { ...beat.end };
+    const dEDV = EDV - beat.EDV;
+    if (
+      Math.abs(dEDV) < 0.3 &&
+      (lesion || held || Math.abs(ESV - beat.ESV) < 0.3)
+    )
+      break;
+    // Secant on blood volume (EDPVR slope × (Cv + LA) for the first step)
+    let dVt =
+      (p.A * p.alpha * Math.exp(p.alpha * EDV) + 0.02) * (Cv + 1 / LA.Ep) +
+      C +
+      1;
+    if (prev && Math.abs(beat.EDV - prev.EDV) > 0.01)
+      dVt = Math.max((Vt - prev.Vt) / (beat.EDV - prev.EDV), 0.2);
+    prev = { Vt, EDV: beat.EDV };
+    s.Vv = Math.max(0.2 * Cv, s.Vv + dEDV * dVt);
+    if (!lesion && !held)
+      R = Math.max(0.05, R * (EaT / Math.max(eaOf(beat.EDV, beat.ESV), 0.05)));
+  }
+  return beat;
+}
@@ -0,0 +1,76 @@
+// ═══════════════════════════════════════════════════════════════════
+// PRELOAD REDUCTION (vena caval occlusion) — how ESPVR/EDPVR are measured
+//
+// ESPVR: least-squares line through the end-systolic corners of the loop
+//        family, P = Ees × (V − V0); V0 is the volume-axis intercept
+// EDPVR: P = A × (e^(α×V) − 1) through the end-diastolic corners. A is
+//        linear once α is fixed, so α is found by golden-section search
+// ═══════════════════════════════════════════════════════════════════
+
+export function linearFit(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0,
+    sxx = 0,
+    syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: my - slope * mx,
+    r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1,
+  };
+}
+
+// pts: [{ V, P }] end-systolic corners
+export function espvrFit(pts) {
+  const { slope, intercept, r2 } = linearFit(
+    pts.map((q) => q.V),
+    pts.map((q) => q.P)
+  );
+  return { Ees: slope, V0: -intercept / slope, r2 };
+}
+
+// pts: [{ V, P }] end-diastolic corners
+export function edpvrFit(pts) {
+  const fitA = (alpha) => {
+    let gy = 0,
+      gg = 0;
+    for (const q of pts) {
+      const g = Math.exp(alpha * q.V) - 1;
+      gy += g * q.P;
+      gg += g * g;
+    }
+    return gg > 0 ? gy / gg : 0;
+  };
+  const sse = (alpha) => {
+    const A = fitA(alpha);
+    return pts.reduce(
+      (s, q) => s + (q.P - A * (Math.exp(alpha * q.V) - 1)) ** 2,
+      0
+    );
+  };
+  const k = (Math.sqrt(5) - 1) / 2;
+  let lo = 0.002,
+    hi = 0.08;
+  for (let i = 0; i < 60; i++) {
+    const a = hi - k * (hi - lo),
+      b = lo + k * (hi - lo);
+    if (sse(a) < sse(b)) hi = b;
+    else lo = a;
+  }
+  const alpha = (lo + hi) / 2;
+  return { A: fitA(alpha), alpha };
+}
+
+// beats: occlusionRun() output — corners plus both fits
+export function occlusionFit(beats) {
+  const es = beats.map((b) => ({ V: b.V[b.ev.es], P: b.P[b.ev.es] }));
+  const ed = beats.map((b) => ({ V: b.EDV, P: b.LVEDP }));
+  return { es, ed, espvr: espvrFit(es), edpvr: edpvrFit(ed) };
+}
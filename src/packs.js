@@ -0,0 +1,280 @@
+// ═══════════════════════════════════════════════════════════════════
+// SCENARIO PACKS — curricula as data
+//
+// {
+//   "format": "pv-loop-pack", "version": 1,
+//   "name": "Cardiology 101",
+//   "mode": "extend" | "replace",        // add to, or stand in for, SC
+//   "groups": [{ "label": "Pericardium", "scenarios": ["constriction"] }],
+//   "scenarios": {
+//     "constriction": {
+//       "label": "Constrictive pericarditis",
+//       "Ees": 2.5, "EDV": 90, "Ea": 2.2, "alpha": 0.04,   // required
+//       "HR", "mrEROA", "arEROA", "avArea", "mvArea",       // optional
+//       "rvEes", "rvAlpha", "Rp", "biv", "color", "highlight",
+//       "steps": [{
+//         "title": "…", "text": "…",
+//         "params": { "EDV": 80 },        // optional, for this step only
+//         "highlight": "bottomright",     // optional, for this step only
+//         "annotations": [{ "V": 80, "P": 25, "text": "dip and plateau" }]
+//       }]
+//     }
+//   }
+// }
+//
+// Validation collects every problem with its path, e.g.
+// scenarios.constriction.steps[1].params.EDV: must be 30–400
+// ═══════════════════════════════════════════════════════════════════
+
+export const PACK_FORMAT = "pv-loop-pack";
+export const PACK_VERSION = 1;
+export const HIGHLIGHTS = ["topleft", "bottomright", "topright"];
+
+// Model inputs a scenario (or a step) may set, with their accepted ranges.
+// Optional ones fall back to the app's defaults: HR 75 bpm, competent and
+// unobstructed valves, a normal RV and pulmonary bed.
+export const PARAM_RANGES = {
+  Ees: [0.1, 10],
+  EDV: [30, 400],
+  Ea: [0.1, 10],
+  alpha: [0.001, 0.1],
+  HR: [20, 250],
+  mrEROA: [0, 2],
+  arEROA: [0, 2],
+  avArea: [0.1, 10],
+  mvArea: [0.1, 10],
+  rvEes: [0.01, 5],
+  rvAlpha: [0.001, 0.1],
+  Rp: [0, 2],
+};
+const REQUIRED = ["Ees", "EDV", "Ea", "alpha"];
+const SCENARIO_FIELDS = [
+  ...Object.keys(PARAM_RANGES),
+  "label",
+  "biv",
+  "color",
+  "highlight",
+  "steps",
+];
+const STEP_FIELDS = ["title", "text", "params", "highlight", "annotations"];
+const KEY = /^[a-z0-9][a-z0-9-]*$/i;
+
+export class PackError extends Error {
+  constructor(errors) {
+    super(errors.join("\n"));
+    this.name = "PackError";
+    this.errors = errors;
+  }
+}
+
+const isObj = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+
+function checkFields(path, raw, allowed, fail) {
+  for (const k of Object.keys(raw))
+    if (!allowed.includes(k)) fail(`${path}.${k}`, "unknown field");
+}
+
+function checkParam(path, v, [lo, hi], fail) {
+  if (typeof v !== "number" || !(v >= lo && v <= hi)) {
+    fail(path, `must be ${lo}–${hi}`);
+    return undefined;
+  }
+  return v;
+}
+
+function checkHighlight(path, v, fail) {
+  if (v == null) return null;
+  if (!HIGHLIGHTS.includes(v))
+    fail(path, `must be one of ${HIGHLIGHTS.join(", ")}`);
+  return v;
+}
+
+function checkStep(path, raw, fail) {
+  if (!isObj(raw)) {
+    fail(path, "must be an object");
+    return null;
+  }
+  checkFields(path, raw, STEP_FIELDS, fail);
+  const st = { title: "", text: "" };
+  if (typeof raw.title !== "string" || !raw.title.trim())
+    fail(`${path}.title`, "must be a non-empty string");
+  else st.title = raw.title.trim();
+  if (raw.text != null && typeof raw.text !== "string")
+    fail(`${path}.text`, "must be a string");
+  else st.text = raw.text ?? "";
+  if (raw.params != null) {
+    if (!isObj(raw.params)) fail(`${path}.params`, "must be an object");
+    else {
+      st.params = {};
+      for (const [k, v] of Object.entries(raw.params)) {
+        if (!PARAM_RANGES[k]) fail(`${path}.params.${k}`, "unknown parameter");
+        else
+          st.params[k] = checkParam(
+            `${path}.params.${k}`,
+            v,
+            PARAM_RANGES[k],
+            fail
+          );
+      }
+    }
+  }
+  if (raw.highlight !== undefined)
+    st.highlight = checkHighlight(`${path}.highlight`, raw.highlight, fail);
+  if (raw.annotations != null) {
+    if (!Array.isArray(raw.annotations))
+      fail(`${path}.annotations`, "must be an array");
+    else
+      st.annotations = raw.annotations.map((a, i) => {
+        const p = `${path}.annotations[${i}]`;
+        if (
+          !isObj(a) ||
+          typeof a.V !== "number" ||
+          typeof a.P !== "number" ||
+          typeof a.text !== "string"
+        )
+          fail(p, "must be { V: number, P: number, text: string }");
+        return { V: a.V, P: a.P, text: String(a.text ?? "") };
+      });
+  }
+  return st;
+}
+
+// Normalized copy of one scenario; problems go to fail(path, message)
+export function checkScenario(path, raw, fail) {
+  if (!isObj(raw)) {
+    fail(path, "must be an object");
+    return null;
+  }
+  checkFields(path, raw, SCENARIO_FIELDS, fail);
+  const sc = {};
+  if (typeof raw.label !== "string" || !raw.label.trim())
+    fail(`${path}.label`, "must be a non-empty string");
+  else sc.label = raw.label.trim();
+  for (const [k, range] of Object.entries(PARAM_RANGES)) {
+    if (raw[k] == null) {
+      if (REQUIRED.includes(k)) fail(`${path}.${k}`, "is required");
+      continue;
+    }
+    sc[k] = checkParam(`${path}.${k}`, raw[k], range, fail);
+  }
+  if (raw.biv != null && typeof raw.biv !== "boolean")
+    fail(`${path}.biv`, "must be true or false");
+  else if (raw.biv) sc.biv = true;
+  if (raw.color != null && !/^#[0-9a-f]{6}$/i.test(raw.color))
+    fail(`${path}.color`, "must be a #rrggbb color");
+  sc.color = raw.color ?? "#8B949E";
+  sc.highlight = checkHighlight(`${path}.highlight`, raw.highlight, fail);
+  if (!Array.isArray(raw.steps) || !raw.steps.length)
+    fail(`${path}.steps`, "must be a non-empty array");
+  else
+    sc.steps = raw.steps.map((s, i) =>
+      checkStep(`${path}.steps[${i}]`, s, fail)
+    );
+  return sc;
+}
+
+// builtins: keys of the built-in scenarios, which extend-mode groups may
+// list. Returns { name, mode, groups, scenarios } or throws PackError.
+export function validatePack(doc, builtins = []) {
+  const errors = [];
+  const fail = (path, msg) => errors.push(`${path}: ${msg}`);
+  if (!isObj(doc)) throw new PackError(["pack: must be a JSON object"]);
+  checkFields(
+    "pack",
+    doc,
+    ["format", "version", "name", "mode", "groups", "scenarios"],
+    fail
+  );
+  if (doc.format !== PACK_FORMAT) fail("format", `must be "${PACK_FORMAT}"`);
+  if (!Number.isInteger(doc.version) || doc.version < 1)
+    fail("version", "must be a positive integer");
+  else if (doc.version > PACK_VERSION)
+    fail(
+      "version",
+      `${doc.version} is newer than this app reads (${PACK_VERSION})`
+    );
+  const mode = doc.mode ?? "extend";
+  if (!["extend", "replace"].includes(mode))
+    fail("mode", 'must be "extend" or "replace"');
+  if (doc.name != null && typeof doc.name !== "string")
+    fail("name", "must be a string");
+
+  const scenarios = {};
+  if (!isObj(doc.scenarios) || !Object.keys(doc.scenarios).length)
+    fail("scenarios", "must be an object with at least one scenario");
+  else
+    for (const [k, raw] of Object.entries(doc.scenarios)) {
+      if (!KEY.test(k))
+        fail(`scenarios.${k}`, "key must be letters, digits and dashes");
+      scenarios[k] = checkScenario(`scenarios.${k}`, raw, fail);
+    }
+
+  const known = new Set([
+    ...Object.keys(scenarios),
+    ...(mode !== "replace" ? builtins : []),
+  ]);
+  const groups = [];
+  if (!Array.isArray(doc.groups) || !doc.groups.length)
+    fail("groups", "must be a non-empty array");
+  else
+    doc.groups.forEach((g, i) => {
+      const p = `groups[${i}]`;
+      if (!isObj(g)) return fail(p, "must be an object");
+      checkFields(p, g, ["label", "scenarios"], fail);
+      if (typeof g.label !== "string" || !g.label.trim())
+        fail(`${p}.label`, "must be a non-empty string");
+      if (!Array.isArray(g.scenarios) || !g.scenarios.length)
+        return fail(`${p}.scenarios`, "must be a non-empty array of keys");
+      g.scenarios.forEach((k, j) => {
+        if (!known.has(k))
+          fail(`${p}.scenarios[${j}]`, `no scenario "${k}" in this pack`);
+      });
+      groups.push({ label: String(g.label).trim(), keys: g.scenarios });
+    });
+
+  if (errors.length) throw new PackError(errors);
+  return { name: doc.name || "Scenario pack", mode, groups, scenarios };
+}
+
+export function parsePack(text, builtins) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new PackError([`pack: not valid JSON (${err.message})`]);
+  }
+  return validatePack(doc, builtins);
+}
+
+// Pack document for a set of scenarios under one group
+export function makePack(name, group, scenarios) {
+  return {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    name,
+    mode: "extend",
+    groups: [{ label: group, scenarios: Object.keys(scenarios) }],
+    scenarios,
+  };
+}
+
+// A pack loaded from a file is kept (as its text) until unloaded
+export const PACK_STORAGE_KEY = "pv-loop.pack";
+
+export function loadSavedPack(builtins) {
+  try {
+    const text = localStorage.getItem(PACK_STORAGE_KEY);
+    return text ? parsePack(text, builtins) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function savePack(text) {
+  try {
+    if (text) localStorage.setItem(PACK_STORAGE_KEY, text);
+    else localStorage.removeItem(PACK_STORAGE_KEY);
+  } catch {
+    // storage disabled — the pack lasts for this session only
+  }
+}
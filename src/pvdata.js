@@ -0,0 +1,189 @@
+// ═══════════════════════════════════════════════════════════════════
+// MEASURED PV DATA (conductance catheter CSV)
+//
+// Columns: time (s), pressure (mmHg), volume (mL), optional beat marker.
+// A header row names them (time/t, pressure/p/lvp, volume/v/lvv,
+// beat/marker); without one the order is t, P, V[, marker].
+// Beats: beat numbers (never falling, counted from 0 or 1) start a beat at
+// the first sample and wherever the number changes; 0/1 flags start one
+// wherever they turn nonzero. Without markers, each beat starts at
+// end-diastole.
+// End-diastole: the largest volume in the 100 ms before dP/dt first
+// crosses 30% of its peak (within the beat, when markers split it).
+// End-systole: maximal P/V (V0 taken as 0) between end-diastole and the
+// steepest fall in pressure.
+// ═══════════════════════════════════════════════════════════════════
+
+// Header names, lower-cased with units in brackets and separators dropped
+const COLUMNS = {
+  t: /^(t|time\w*|sec\w*)$/,
+  P: /^(p|pressure\w*|lvp\w*|plv\w*)$/,
+  V: /^(v|volume\w*|lvv\w*|vlv\w*)$/,
+  beat: /^(beat\w*|marker|event|cycle)$/,
+};
+
+// Parse the text into columns; throws Error with a readable message.
+export function parseCSV(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith("#"));
+  if (rows.length < 3) throw new Error("CSV has fewer than 3 rows");
+  const sep = [",", ";", "\t"].find((d) => rows[0].includes(d)) || ",";
+  const cells = rows.map((r) => r.split(sep).map((c) => c.trim()));
+  let idx = { t: 0, P: 1, V: 2, beat: cells[0].length > 3 ? 3 : -1 };
+  if (cells[0].some((c) => c !== "" && isNaN(Number(c)))) {
+    const names = cells.shift().map((c) =>
+      c
+        .toLowerCase()
+        .replace(/\(.*?\)|\[.*?\]/g, "")
+        .replace(/[\s_-]/g, "")
+    );
+    idx = {};
+    for (const [k, re] of Object.entries(COLUMNS))
+      idx[k] = names.findIndex((n) => re.test(n));
+    for (const k of ["t", "P", "V"])
+      if (idx[k] < 0)
+        throw new Error(
+          `No ${{ t: "time", P: "pressure", V: "volume" }[k]} column`
+        );
+  }
+  const t = [],
+    P = [],
+    V = [],
+    beat = [];
+  for (const c of cells) {
+    const r = [c[idx.t], c[idx.P], c[idx.V]].map(Number);
+    if (r.some((x) => !isFinite(x))) continue;
+    t.push(r[0]);
+    P.push(r[1]);
+    V.push(r[2]);
+    if (idx.beat >= 0) beat.push(Number(c[idx.beat]) || 0);
+  }
+  if (t.length < 3) throw new Error("No numeric time/pressure/volume rows");
+  return { t, P, V, beat: idx.beat >= 0 ? beat : null };
+}
+
+// Beat numbers never fall, so the first sample starts the first beat even
+// when it is numbered 0; flags fall back to 0 between beats
+function markerStarts(beat) {
+  const numbered = beat.every((b, i) => !i || b >= beat[i - 1]);
+  const starts = [];
+  for (let i = 0; i < beat.length; i++)
+    if (
+      numbered
+        ? beat[i] !== beat[i - 1]
+        : beat[i] !== 0 && beat[i] !== (beat[i - 1] ?? 0)
+    )
+      starts.push(i);
+  return starts;
+}
+
+// [min, max] of x[a..b] — a loop, as spreading a long recording into
+// Math.max overflows the call stack
+function extent(x, a = 0, b = x.length - 1) {
+  let lo = Infinity,
+    hi = -Infinity;
+  for (let i = a; i <= b; i++) {
+    if (x[i] < lo) lo = x[i];
+    if (x[i] > hi) hi = x[i];
+  }
+  return [lo, hi];
+}
+
+function dpdt(t, P) {
+  const d = P.map((_, i) => {
+    const a = Math.max(i - 1, 0),
+      b = Math.min(i + 1, P.length - 1);
+    return (P[b] - P[a]) / (t[b] - t[a] || 1);
+  });
+  // 5-point moving average against catheter noise
+  return d.map((_, i) => {
+    let s = 0,
+      n = 0;
+    for (let k = Math.max(i - 2, 0); k <= Math.min(i + 2, d.length - 1); k++) {
+      s += d[k];
+      n++;
+    }
+    return s / n;
+  });
+}
+
+// Upstrokes: where dP/dt first crosses 30% of its peak
+function upstrokes(d) {
+  const thr = 0.3 * extent(d)[1];
+  const at = [];
+  for (let i = 1; i < d.length; i++)
+    if (d[i] >= thr && d[i - 1] < thr) at.push(i);
+  return at;
+}
+
+// End-diastole before the upstroke at i, no earlier than sample a. Volume
+// is flat through isovolumic contraction: take the first sample near the
+// peak, before pressure starts to climb.
+function edBefore(t, V, i, a = 0) {
+  let s = i;
+  while (s > a && t[i] - t[s - 1] <= 0.1) s--;
+  const vmax = extent(V, s, i)[1];
+  let ed = s;
+  while (V[ed] < vmax - 0.005 * Math.abs(vmax)) ed++;
+  return ed;
+}
+
+function edStarts(t, V, d) {
+  const starts = [];
+  for (const i of upstrokes(d)) {
+    const ed = edBefore(t, V, i);
+    if (!starts.length || ed > starts[starts.length - 1]) starts.push(ed);
+  }
+  return starts;
+}
+
+// A trailing segment is a beat only if the loop closes: it ends within 10%
+// of its volume and pressure ranges of where it started.
+function closes(P, V, a, b) {
+  const near = (x) => {
+    const [lo, hi] = extent(x, a, b);
+    return Math.abs(x[b] - x[a]) <= 0.1 * (hi - lo);
+  };
+  return b - a > 10 && near(V) && near(P);
+}
+
+// Split into beats (each closed by the next beat's start) and mark ED/ES.
+// Returns { beats: [{ t, P, V, ed, es }], vmax, pmax }.
+export function splitBeats({ t, P, V, beat }) {
+  const d = dpdt(t, P);
+  const starts = beat ? markerStarts(beat) : edStarts(t, V, d);
+  const up = beat ? upstrokes(d) : [];
+  const last = t.length - 1;
+  if (starts.length && starts[starts.length - 1] < last) {
+    if (closes(P, V, starts[starts.length - 1], last)) starts.push(last);
+  }
+  if (starts.length < 2) throw new Error("Could not find a complete beat");
+  const beats = [];
+  for (let k = 0; k + 1 < starts.length; k++) {
+    const a = starts[k],
+      b = starts[k + 1];
+    // A marker need not sit at end-diastole: find it before the beat's
+    // upstroke, or keep the marker sample if the beat has none
+    const u = up.find((i) => i > a && i <= b);
+    const ed = u != null ? edBefore(t, V, u, a) : a;
+    let minD = ed,
+      es = ed;
+    for (let i = ed; i <= b; i++) if (d[i] < d[minD]) minD = i;
+    for (let i = ed; i <= minD; i++)
+      if (V[i] > 0 && P[i] / V[i] > P[es] / V[es]) es = i;
+    beats.push({
+      t: t.slice(a, b + 1),
+      P: P.slice(a, b + 1),
+      V: V.slice(a, b + 1),
+      ed: ed - a,
+      es: es - a,
+    });
+  }
+  return { beats, vmax: extent(V)[1], pmax: extent(P)[1] };
+}
+
+export function loadPV(text) {
+  return splitBeats(parseCSV(text));
+}
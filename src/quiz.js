@@ -0,0 +1,65 @@
+// ═══════════════════════════════════════════════════════════════════
+// QUIZ — an unlabeled loop from a random scenario
+//
+// "name":    pick the condition from four choices
+// "corners": say which loop corners moved vs. Normal — a corner has moved
+//            when it shifts by more than CORNER_TOL mL or mmHg
+// Jitter scales Ees, EDV, Ea and α by up to ±JITTER so the same scenario
+// is not recognised by its exact numbers.
+// ═══════════════════════════════════════════════════════════════════
+
+export const JITTER = 0.1;
+export const CORNER_TOL = 8;
+export const CORNERS = [
+  { key: "ed", label: "End-diastole (bottom right)" },
+  { key: "avo", label: "AV opening (top right)" },
+  { key: "es", label: "End-systole (top left)" },
+  { key: "mvo", label: "MV opening (bottom left)" },
+];
+
+function shuffle(xs) {
+  const a = [...xs];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// keys: scenarios on offer; prev: last answer, not repeated when avoidable.
+// The corners question skips Normal, where nothing moves.
+export function makeQuestion(catalog, keys, { type, jitter }, prev) {
+  let pool = type === "corners" ? keys.filter((k) => k !== "normal") : keys;
+  if (pool.length > 1) pool = pool.filter((k) => k !== prev);
+  const key = pool[Math.floor(Math.random() * pool.length)];
+  const sc = catalog[key];
+  const params = { ...sc };
+  if (jitter)
+    for (const k of ["Ees", "EDV", "Ea", "alpha"])
+      params[k] = sc[k] * (1 + JITTER * (2 * Math.random() - 1));
+  const others = shuffle(keys.filter((k) => k !== key)).slice(0, 3);
+  return {
+    key,
+    type,
+    params,
+    biv: !!sc.biv,
+    options: shuffle([key, ...others]),
+    answer: null,
+  };
+}
+
+// cn, ref: beatCorners() of the question and the Normal loop
+export function cornerMoves(cn, ref) {
+  const out = {};
+  for (const { key } of CORNERS)
+    out[key] =
+      Math.abs(cn[key].V - ref[key].V) > CORNER_TOL ||
+      Math.abs(cn[key].P - ref[key].P) > CORNER_TOL;
+  return out;
+}
+
+// Score 0–1: the share of corners called right
+export function gradeCorners(guess, truth) {
+  const right = CORNERS.filter(({ key }) => !!guess[key] === truth[key]);
+  return right.length / CORNERS.length;
+}
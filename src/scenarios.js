@@ -0,0 +1,125 @@
+// ═══════════════════════════════════════════════════════════════════
+// CUSTOM SCENARIOS — authored in the app, kept in localStorage
+//
+// Same shape as a scenario in a pack (packs.js), and checked by the same
+// rules. Exported as a one-group pack; import takes a pack or the older
+// { "scenarios": [ { key?, label, … } ] } list.
+// ═══════════════════════════════════════════════════════════════════
+
+import {
+  PACK_FORMAT,
+  PARAM_RANGES,
+  checkScenario,
+  validatePack,
+  makePack,
+} from "./packs.js";
+
+export { HIGHLIGHTS } from "./packs.js";
+export const STORAGE_KEY = "pv-loop.custom-scenarios";
+
+// Checked copy of a scenario; throws Error naming the first bad field.
+// Editor input arrives as text, so numbers are converted first. required:
+// optional fields that may not be left out this time (the editor's HR).
+export function normalizeScenario(raw, required = []) {
+  if (!raw || typeof raw !== "object") throw new Error("not an object");
+  const { key: _, ...src } = raw;
+  for (const k of Object.keys(PARAM_RANGES)) {
+    if (src[k] === "" || src[k] == null) delete src[k];
+    else if (typeof src[k] === "string") src[k] = Number(src[k]);
+  }
+  if (!src.biv) delete src.biv;
+  const label = String(src.label ?? "").trim();
+  const path = label ? `"${label}"` : "scenario";
+  const errors = [];
+  const fail = (p, msg) => errors.push(`${p}: ${msg}`);
+  for (const k of required)
+    if (src[k] == null) fail(`${path}.${k}`, "is required");
+  const sc = checkScenario(path, src, fail);
+  if (errors.length) throw new Error(errors[0]);
+  return sc;
+}
+
+// Key for a new scenario, unique among taken
+export function scenarioKey(label, taken) {
+  const slug =
+    label
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "scenario";
+  let key = `custom-${slug}`;
+  for (let n = 2; key in taken; n++) key = `custom-${slug}-${n}`;
+  return key;
+}
+
+// Saved scenarios as { key: scenario }; entries that fail the checks are
+// dropped rather than breaking the app
+export function loadCustom() {
+  let list;
+  try {
+    list = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return {};
+  }
+  const out = {};
+  for (const raw of Array.isArray(list) ? list : []) {
+    try {
+      const sc = normalizeScenario(raw);
+      out[raw.key || scenarioKey(sc.label, out)] = sc;
+    } catch {
+      // skip
+    }
+  }
+  return out;
+}
+
+export function saveCustom(custom) {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify(
+        Object.entries(custom).map(([key, sc]) => ({ key, ...sc }))
+      )
+    );
+  } catch {
+    // storage full or disabled — scenarios last for this session only
+  }
+}
+
+export function exportCustom(custom) {
+  return (
+    JSON.stringify(makePack("Custom scenarios", "Custom", custom), null, 2) +
+    "\n"
+  );
+}
+
+// Parsed scenarios from a file. Keys from an export are kept, so importing
+// a file again updates those scenarios instead of duplicating them.
+// builtins: scenario keys a pack's groups may refer to
+export function importCustom(text, builtins) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("not valid JSON");
+  }
+  let list;
+  if (doc?.format === PACK_FORMAT)
+    list = Object.entries(validatePack(doc, builtins).scenarios).map(
+      ([key, sc]) => ({
+        key,
+        ...sc,
+      })
+    );
+  else list = Array.isArray(doc) ? doc : doc?.scenarios;
+  if (!Array.isArray(list) || !list.length)
+    throw new Error(`expected a ${PACK_FORMAT} file`);
+  const out = {};
+  for (const raw of list) {
+    const sc = normalizeScenario(raw);
+    const key = /^custom-[a-z0-9-]+$/.test(raw.key)
+      ? raw.key
+      : scenarioKey(sc.label, out);
+    out[key] = sc;
+  }
+  return out;
+}
@@ -0,0 +1,105 @@
+// ═══════════════════════════════════════════════════════════════════
+// EXERCISE — rest to peak effort on top of any scenario
+//
+// Intensity x runs 0 (rest) → 1 (peak). With it:
+//   HR    climbs toward HR_PEAK
+//   Ees   rises with sympathetic drive and the force–frequency
+//         (Bowditch) staircase
+//   R     muscle vasodilation: vascular conductance (1/R) rises in step
+//         with work rate, by DILATE at peak. It acts on the Windkessel
+//         resistance (exerciseR) while C and Zc stay, so Ea at effort is
+//         read off the beat, not set here
+//   rvEes the RV gets the same sympathetic inotropy
+//   Rp    pulmonary vessels recruit and distend: PVR falls by up to
+//         RECRUIT at peak, less in a bed already narrowed (PAH)
+//   sym   sympathetic drive for the beat model — shorter systole
+//   EDV   venous return raises filling pressure by up to FILL_RISE; the
+//         volume it buys is read off the EDPVR, made stiffer by whatever
+//         relaxation is left unfinished when the shorter diastole ends
+// A weak ventricle (Ees below normal) has less inotropy to give: a
+// blunted β response, a flat staircase. Heart failure blunts the
+// vasodilation too — neurohumoral vasoconstriction and endothelial
+// dysfunction hold SVR up — so it scales with the same reserve.
+// Relaxation runs with time constant TAU × (α/α_ref), sped up by
+// sympathetic drive (less so in a stiff ventricle). A compliant heart
+// still relaxes in time at peak HR; a stiff one does not, so its EDV
+// stalls while LVEDP climbs — the HFpEF exercise story.
+// ═══════════════════════════════════════════════════════════════════
+
+import { systoleLength } from "./model.js";
+
+export const HR_PEAK = 170;
+export const SYM_EES = 0.5;
+export const FFR = 0.3; // fractional Ees gain per 100 bpm
+export const DILATE = 2.5;
+export const FILL_RISE = 0.6; // fraction of the resting filling pressure
+export const TAU = 0.08; // s, relaxation time constant at α_ref
+export const LUSITROPY = 0.5;
+export const STIFFEN = 1;
+export const RECRUIT = 0.5; // fractional PVR fall at peak
+
+// Diastole (s): what is left of the cycle after contraction and the
+// relaxation that follows it (Tes/2)
+export function diastoleLength(HR, sym = 0) {
+  const T = 60 / HR;
+  return Math.max(0, T - 1.5 * systoleLength(T, sym));
+}
+
+// Share of the normal contractile reserve a ventricle has
+function reserveOf(Ees, ref) {
+  return Math.min(1, Ees / ref.Ees);
+}
+
+// Share of relaxation completed over diastole
+function relaxed(HR, x, alpha, ref) {
+  const stiff = alpha / ref;
+  const tau = TAU * stiff * (1 - LUSITROPY * x * Math.min(1, 1 / stiff));
+  return 1 - Math.exp(-diastoleLength(HR, x) / tau);
+}
+
+// params: { Ees, EDV, Ea, alpha, HR, rvEes?, Rp?, … } at rest. ref: { Ees,
+// alpha, A, rvEes, Rp } of normal ventricles and lungs (α_ref, contractile
+// reserve, EDPVR scale, PVR); limits as in drugs.js. Returns the params at intensity x, with
+// sym set; Ea is left at rest (see exerciseR).
+export function applyExercise(params, x, ref, limits = {}) {
+  const { Ees, EDV, alpha, HR } = params;
+  const clamp = (k, v) => {
+    const [lo, hi] = limits[k] || [-Infinity, Infinity];
+    return Math.min(hi, Math.max(lo, v));
+  };
+  const hr = Math.max(HR, HR + x * (HR_PEAK - HR));
+  const reserve = reserveOf(Ees, ref);
+  const ees =
+    Ees * (1 + SYM_EES * reserve * x) * (1 + (FFR * reserve * (hr - HR)) / 100);
+  const f0 = relaxed(HR, 0, alpha, ref.alpha);
+  const f1 = relaxed(hr, x, alpha, ref.alpha);
+  const a = alpha * (1 + STIFFEN * Math.max(0, f0 - f1));
+  const p0 = ref.A * (Math.exp(alpha * EDV) - 1);
+  const edv = Math.log((p0 * (1 + FILL_RISE * x)) / ref.A + 1) / a;
+  return {
+    ...params,
+    HR: clamp("HR", hr),
+    Ees: clamp("Ees", ees),
+    alpha: clamp("alpha", a),
+    EDV: clamp("EDV", edv),
+    ...(params.rvEes != null && {
+      rvEes: clamp(
+        "rvEes",
+        params.rvEes * (1 + SYM_EES * Math.min(1, params.rvEes / ref.rvEes) * x)
+      ),
+    }),
+    ...(params.Rp != null && {
+      Rp: clamp(
+        "Rp",
+        params.Rp * (1 - RECRUIT * Math.min(1, ref.Rp / params.Rp) * x)
+      ),
+    }),
+    sym: x,
+  };
+}
+
+// Peripheral resistance at intensity x, from the resting beat's R and the
+// resting params and ref of applyExercise
+export function exerciseR(R, x, params, ref) {
+  return R / (1 + DILATE * reserveOf(params.Ees, ref) * x);
+}
@@ -0,0 +1,197 @@
+// ═══════════════════════════════════════════════════════════════════
+// UI — styles and small pieces shared by the chart and its side panels
+// ═══════════════════════════════════════════════════════════════════
+
+import React from "react";
+
+// A side panel under the chart
+export const PANEL = {
+  margin: "4px 0",
+  padding: "6px 8px",
+  background: "#161B22",
+  border: "1px solid #21262D",
+  borderRadius: 4,
+  fontSize: 9,
+  color: "#6E7681",
+};
+
+// Its first row: label, then controls
+export const ROW = {
+  display: "flex",
+  alignItems: "center",
+  gap: 4,
+  flexWrap: "wrap",
+};
+
+// Text, number and select inputs
+export const FIELD = {
+  fontSize: 9,
+  fontFamily: "inherit",
+  background: "#0D1117",
+  color: "#E6EDF3",
+  border: "1px solid #21262D",
+  borderRadius: 3,
+  padding: "1px 3px",
+};
+
+const SMALL = {
+  padding: "1px 7px",
+  fontSize: 8,
+  border: "1px solid #21262D",
+  borderRadius: 3,
+  cursor: "pointer",
+  fontFamily: "inherit",
+};
+
+// Small action button
+export const BUTTON = { ...SMALL, background: "transparent", color: "#8B949E" };
+
+// Small toggle button: tinted with color when on, or picked out in grey
+// without one. off: text color when off.
+export function toggle(on, color, off = "#6E7681") {
+  if (!color)
+    return {
+      ...SMALL,
+      fontWeight: on ? 700 : 400,
+      background: on ? "#30363D" : "transparent",
+      color: on ? "#E6EDF3" : off,
+    };
+  return {
+    ...SMALL,
+    background: on ? color + "20" : "transparent",
+    color: on ? color : off,
+    border: `1px solid ${on ? color + "55" : "#21262D"}`,
+  };
+}
+
+// Scenario, mode and answer choices: bold and tinted with color when
+// picked. off: text color otherwise.
+export function choice(on, color, off = "#6E7681") {
+  return {
+    padding: "3px 9px",
+    fontSize: 10,
+    fontWeight: on ? 700 : 400,
+    background: on ? color + "20" : "transparent",
+    color: on ? color : off,
+    border: `1px solid ${on ? color + "55" : "#21262D"}`,
+    borderRadius: 3,
+    cursor: "pointer",
+    fontFamily: "inherit",
+    transition: "all 0.15s",
+  };
+}
+
+// Dashed button for files and scenario management
+export const DASHED = {
+  padding: "3px 9px",
+  fontSize: 10,
+  background: "transparent",
+  color: "#8B949E",
+  border: "1px dashed #30363D",
+  borderRadius: 3,
+  cursor: "pointer",
+  fontFamily: "inherit",
+};
+
+// Step, next and submit buttons: filled with color, or outlined without
+// one; greyed out when not enabled
+export function action(color, enabled = true) {
+  const base = {
+    padding: "2px 10px",
+    fontSize: 11,
+    fontWeight: 600,
+    borderRadius: 3,
+    cursor: enabled ? "pointer" : "default",
+    fontFamily: "inherit",
+  };
+  if (!enabled && color)
+    return {
+      ...base,
+      background: "#0D1117",
+      color: "#30363D",
+      border: "1px solid #21262D",
+    };
+  if (!color)
+    return {
+      ...base,
+      background: "transparent",
+      color: enabled ? "#C9D1D9" : "#484F58",
+      border: "1px solid #30363D",
+    };
+  return {
+    ...base,
+    background: color + "18",
+    color,
+    border: `1px solid ${color}44`,
+  };
+}
+
+export function PanelLabel({ children }) {
+  return (
+    <span
+      style={{
+        fontSize: 8,
+        color: "#484F58",
+        width: 62,
+        textAlign: "right",
+        flexShrink: 0,
+        textTransform: "uppercase",
+        letterSpacing: 0.5,
+      }}
+    >
+      {children}
+    </span>
+  );
+}
+
+// Signed difference, green up, red down
+export function Delta({ d, digits, style }) {
+  return (
+    <span
+      style={{
+        ...style,
+        color: d ? (d > 0 ? "#3FB950" : "#F85149") : "#484F58",
+      }}
+    >
+      {d ? `${d > 0 ? "+" : "−"}${Math.abs(d).toFixed(digits)}` : "±0"}
+    </span>
+  );
+}
+
+// Before/after table. heads: [[title, color], [title, color]]; rows:
+// [{ key, unit, digits, before, after }]
+export function BeforeAfter({ heads, rows }) {
+  const cell = { padding: "0 8px", textAlign: "right" };
+  return (
+    <table style={{ borderCollapse: "collapse", fontSize: 9 }}>
+      <thead>
+        <tr>
+          <th />
+          {[...heads, ["", heads[1][1]]].map(([h, c]) => (
+            <th key={h} style={{ ...cell, fontWeight: 600, color: c }}>
+              {h}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(({ key, unit, digits = 0, before, after }) => (
+          <tr key={key}>
+            <td style={{ padding: "0 8px", color: "#8B949E" }}>
+              {key} <span style={{ color: "#484F58" }}>{unit}</span>
+            </td>
+            <td style={{ ...cell, color: "#8B949E" }}>
+              {before.toFixed(digits)}
+            </td>
+            <td style={{ ...cell, color: "#C9D1D9" }}>
+              {after.toFixed(digits)}
+            </td>
+            <td style={cell}>
+              <Delta d={+(after - before).toFixed(digits)} digits={digits} />
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}